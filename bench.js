@@ -0,0 +1,156 @@
+/**
+ * Throughput benchmark for the pure-JS RC4 and MD5 core
+ * 
+ * Compares the current implementations against the previous ones (kept below
+ * as the baseline) on a buffer the size of a large scanned PDF.
+ * 
+ * Usage: npm run bench, or node bench.js [megabytes=32] after npm run build
+ */
+
+const { RC4, MD5, md5 } = require('./dist/index.js');
+
+const megabytes = Number(process.argv[2]) || 32;
+const data = new Uint8Array(megabytes * 1024 * 1024);
+for (let i = 0; i < data.length; i++) {
+  data[i] = (i * 31 + (i >>> 8)) & 0xFF;
+}
+const key = new Uint8Array(16).map((_, i) => i * 17);
+
+// Previous RC4: destructuring swaps, property access per byte, new output per call
+class BaselineRC4 {
+  constructor(key) {
+    this.s = new Uint8Array(256);
+    this.i = 0;
+    this.j = 0;
+    for (let i = 0; i < 256; i++) {
+      this.s[i] = i;
+    }
+    let j = 0;
+    for (let i = 0; i < 256; i++) {
+      j = (j + this.s[i] + key[i % key.length]) & 0xFF;
+      [this.s[i], this.s[j]] = [this.s[j], this.s[i]];
+    }
+  }
+  
+  process(data) {
+    const result = new Uint8Array(data.length);
+    for (let k = 0; k < data.length; k++) {
+      this.i = (this.i + 1) & 0xFF;
+      this.j = (this.j + this.s[this.i]) & 0xFF;
+      [this.s[this.i], this.s[this.j]] = [this.s[this.j], this.s[this.i]];
+      const t = (this.s[this.i] + this.s[this.j]) & 0xFF;
+      result[k] = data[k] ^ this.s[t];
+    }
+    return result;
+  }
+}
+
+// Previous MD5: copies the input into a padded buffer, little-endian Uint32Array views
+const S = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+const K = new Uint32Array(64).map((_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+function baselineMd5(bytes) {
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+  const msgLen = bytes.length;
+  const msgLenPadded = ((msgLen + 9 + 63) & ~63);
+  const msg = new Uint8Array(msgLenPadded);
+  msg.set(bytes);
+  msg[msgLen] = 0x80;
+  const dataView = new DataView(msg.buffer);
+  dataView.setUint32(msgLenPadded - 8, msgLen * 8, true);
+  dataView.setUint32(msgLenPadded - 4, 0, true);
+  
+  for (let offset = 0; offset < msgLenPadded; offset += 64) {
+    const chunk = new Uint32Array(msg.buffer, offset, 16);
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) {
+        f = (b & c) | ((~b) & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | ((~d) & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | (~d));
+        g = (7 * i) % 16;
+      }
+      f = (f + a + K[i] + chunk[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((f << S[i]) | (f >>> (32 - S[i])))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+  
+  const result = new Uint8Array(16);
+  const view = new DataView(result.buffer);
+  view.setUint32(0, a0, true);
+  view.setUint32(4, b0, true);
+  view.setUint32(8, c0, true);
+  view.setUint32(12, d0, true);
+  return result;
+}
+
+/**
+ * Run fn a few times and report the best throughput in MB/s
+ */
+function measure(fn) {
+  let best = Infinity;
+  let result;
+  for (let run = 0; run < 3; run++) {
+    const start = process.hrtime.bigint();
+    result = fn();
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    best = Math.min(best, seconds);
+  }
+  return { rate: megabytes / best, result };
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+function report(name, baseline, current) {
+  console.log(`${name.padEnd(24)} ${baseline.rate.toFixed(1).padStart(8)} MB/s -> ${current.rate.toFixed(1).padStart(8)} MB/s  (${(current.rate / baseline.rate).toFixed(2)}x)`);
+}
+
+console.log(`pdf-encrypt-lite crypto benchmark, ${megabytes} MB, best of 3\n`);
+console.log(`${''.padEnd(24)} ${'baseline'.padStart(13)}    ${'current'.padStart(13)}`);
+
+const rc4Baseline = measure(() => new BaselineRC4(key).process(data));
+const rc4Current = measure(() => new RC4(key).process(data));
+if (!sameBytes(rc4Baseline.result, rc4Current.result)) throw new Error('RC4 output differs from the baseline');
+report('RC4 process()', rc4Baseline, rc4Current);
+
+const inPlace = data.slice();
+const rc4InPlace = measure(() => new RC4(key).process(inPlace, inPlace));
+report('RC4 process() in place', rc4Baseline, rc4InPlace);
+
+const md5Baseline = measure(() => baselineMd5(data));
+const md5Current = measure(() => md5(data));
+if (!sameBytes(md5Baseline.result, md5Current.result)) throw new Error('MD5 digest differs from the baseline');
+report('md5()', md5Baseline, md5Current);
+
+const chunkSize = 64 * 1024;
+const md5Streaming = measure(() => {
+  const hash = new MD5();
+  for (let offset = 0; offset < data.length; offset += chunkSize) {
+    hash.update(data.subarray(offset, offset + chunkSize));
+  }
+  return hash.digest();
+});
+if (!sameBytes(md5Baseline.result, md5Streaming.result)) throw new Error('Streaming MD5 digest differs from the baseline');
+report('MD5 update() 64 KB', md5Baseline, md5Streaming);
@@ -12,13 +12,14 @@ if (!fs.existsSync('dist')) {
 }
 
 // Copy source files to dist (ES modules)
-const srcFiles = ['index.js', 'pdf-encrypt.js', 'crypto-minimal.js'];
+const srcFiles = ['index.js', 'errors.js', 'pdf-encrypt.js', 'pdf-decrypt.js', 'object-streams.js', 'password.js', 'pubsec.js', 'wrapper.js', 'progress.js', 'journal.js', 'report.js', 'io.js', 'worker-pool.js', 'encryption-worker.js', 'crypto-provider.js', 'crypto-minimal.js'];
 
 srcFiles.forEach(file => {
   const content = fs.readFileSync(path.join('src', file), 'utf8');
   
-  // Write ES module version (.mjs)
-  fs.writeFileSync(path.join('dist', file.replace('.js', '.mjs')), content);
+  // Write ES module version (.mjs); it imports its siblings, and starts the worker, as .mjs too
+  const esmContent = content.replace(/(['"])(\.\/[\w-]+)\.js\1/g, '$1$2.mjs$1');
+  fs.writeFileSync(path.join('dist', file.replace('.js', '.mjs')), esmContent);
   
   // Create CommonJS version
   let cjsContent = content;
@@ -34,6 +35,9 @@ srcFiles.forEach(file => {
       return `const ${name} = require('${module.replace('.js', '')}')`;
     });
   
+  // import.meta.url (worker script location) becomes the file URL of this file
+  cjsContent = cjsContent.replace(/\bimport\.meta\.url\b/g, "require('url').pathToFileURL(__filename).href");
+  
   // Convert ES6 exports to CommonJS
   // Handle re-exports: export { X, Y } from './module'
   cjsContent = cjsContent.replace(/^export\s+\{([^}]+)\}\s+from\s+['"]([^'"]+)['"]/gm,
@@ -103,7 +107,7 @@ srcFiles.forEach(file => {
   if (exports.length > 0 && !cjsContent.includes('module.exports')) {
     cjsContent += `\n\n// PDFSmaller.com exports\n`;
     exports.forEach(name => {
-      if (!cjsContent.includes(`exports.${name}`)) {
+      if (!new RegExp(`exports\\.${name}\\b`).test(cjsContent)) {
         cjsContent += `exports.${name} = ${name};\n`;
       }
     });
@@ -120,19 +124,627 @@ const dtsContent = `/**
  * @see https://pdfsmaller.com/protect-pdf
  */
 
+import type { PDFDocument } from 'pdf-lib';
+
+/**
+ * A PDF to read: bytes (Node.js Buffer included), a File or Blob, a fetch() Response,
+ * or a stream of bytes (web ReadableStream or Node.js Readable)
+ */
+export type PDFInput =
+  | Uint8Array
+  | ArrayBuffer
+  | ArrayBufferView
+  | Blob
+  | Response
+  | ReadableStream<Uint8Array>
+  | AsyncIterable<Uint8Array>;
+
+/**
+ * Output types of the encrypt functions
+ */
+export type EncryptOutput = 'uint8array' | 'blob' | 'arraybuffer' | 'stream' | 'base64';
+
+/**
+ * What each output type resolves to
+ */
+export interface EncryptOutputTypes {
+  uint8array: Uint8Array;
+  blob: Blob;
+  arraybuffer: ArrayBuffer;
+  stream: ReadableStream<Uint8Array>;
+  base64: string;
+}
+
+/**
+ * What the encrypt functions resolve to: the file as output type O, or with
+ * report: true the file and its EncryptionReport
+ */
+export type EncryptResult<O extends EncryptOutput, R extends boolean> =
+  R extends true ? { bytes: EncryptOutputTypes[O]; report: EncryptionReport } : EncryptOutputTypes[O];
+
+/**
+ * The output and report options as the encrypt functions' type parameters see them;
+ * a report describes the finished file, so it can't be combined with output 'stream'
+ */
+export type EncryptOutputOptions<O extends EncryptOutput, R extends boolean> = {
+  output?: O;
+  report?: 'stream' extends O ? false : R;
+};
+
+/**
+ * Supported encryption algorithms
+ * - 'rc4-40': RC4 40-bit (V1/R2), for viewers that know nothing newer; needs allowWeak: true
+ * - 'rc4-128': RC4 128-bit (V2/R3)
+ * - 'aes-128': AES-128 with AESV2 crypt filters (V4/R4)
+ * - 'aes-256': AES-256 with AESV3 crypt filters (V5/R6, PDF 2.0)
+ */
+export type EncryptionAlgorithm = 'rc4-40' | 'rc4-128' | 'aes-128' | 'aes-256';
+
+/**
+ * What users opening the PDF with the user password may do
+ * Anything not set to false is allowed. Only enforced when the owner
+ * password differs from the user password.
+ */
+export interface PDFPermissions {
+  /** Printing: 'highRes' (or true), 'lowRes' (degraded), or false */
+  print?: 'highRes' | 'lowRes' | boolean;
+  /** Modify the document contents */
+  modify?: boolean;
+  /** Copy or extract text and graphics */
+  copy?: boolean;
+  /** Add or modify annotations, fill in forms */
+  annotate?: boolean;
+  /** Fill in existing form fields */
+  fillForms?: boolean;
+  /** Extract text and graphics for accessibility */
+  extractForAccessibility?: boolean;
+  /** Insert, rotate or delete pages */
+  assemble?: boolean;
+}
+
+/**
+ * Source of the cryptographic primitives. Every method may be sync or async;
+ * operations a provider leaves out fall back to the built-in pure-JS code
+ */
+export interface CryptoProvider {
+  name?: string;
+  md5?(data: Uint8Array): Uint8Array | Promise<Uint8Array>;
+  sha1?(data: Uint8Array): Uint8Array | Promise<Uint8Array>;
+  sha256?(data: Uint8Array): Uint8Array | Promise<Uint8Array>;
+  sha384?(data: Uint8Array): Uint8Array | Promise<Uint8Array>;
+  sha512?(data: Uint8Array): Uint8Array | Promise<Uint8Array>;
+  /** RC4 keystream XOR (encryption and decryption are the same) */
+  rc4?(key: Uint8Array, data: Uint8Array): Uint8Array | Promise<Uint8Array>;
+  /** AES-CBC; padding false means block-aligned data without PKCS#5 padding */
+  aesEncryptCBC?(key: Uint8Array, data: Uint8Array, iv: Uint8Array, padding?: boolean): Uint8Array | Promise<Uint8Array>;
+  /** AES-CBC; with padding, invalid padding should be left in place rather than throw */
+  aesDecryptCBC?(key: Uint8Array, data: Uint8Array, iv: Uint8Array, padding?: boolean): Uint8Array | Promise<Uint8Array>;
+  /** Cryptographically secure random bytes */
+  randomBytes?(length: number): Uint8Array | Promise<Uint8Array>;
+}
+
+/**
+ * Sets the crypto provider used when a call doesn't pass one (also for decryption).
+ * Pass null to go back to auto-detection
+ */
+export function setCryptoProvider(provider: CryptoProvider | null): void;
+
+/**
+ * Provider backed by node:crypto (RC4 only when OpenSSL still offers it)
+ */
+export function createNodeCryptoProvider(nodeCrypto: unknown): CryptoProvider;
+
+/**
+ * Provider backed by WebCrypto (SHA and AES; MD5 and RC4 stay in pure JS)
+ */
+export function createWebCryptoProvider(webCrypto: { subtle: unknown; getRandomValues(array: Uint8Array): Uint8Array }): CryptoProvider;
+
+/**
+ * Options for encryptPDF
+ */
+export interface EncryptOptions {
+  /** Encryption algorithm (default: 'rc4-128') */
+  algorithm?: EncryptionAlgorithm;
+  /** Permission flags written to /P (default: everything allowed) */
+  permissions?: PDFPermissions;
+  /**
+   * What to do with digitally signed input (default: 'warn')
+   * Saving always invalidates existing signatures: 'error' throws SignedDocumentError,
+   * 'warn' reports a warning and keeps them, 'strip' removes them
+   */
+  onSignedDocument?: 'error' | 'warn' | 'strip';
+  /**
+   * Pack objects into encrypted object streams with a cross-reference stream, for smaller
+   * files that need a PDF 1.5 reader (default false: a classic xref table).
+   * Not available with 'rc4-40'
+   */
+  useObjectStreams?: boolean;
+  /**
+   * Flate-encode streams with no filter, or only ASCIIHex/ASCII85, before encrypting them
+   * (default false). DCT/JPX images are left alone
+   */
+  compressStreams?: boolean;
+  /**
+   * Set to false to leave XMP metadata (/Type /Metadata streams) readable for indexers
+   * (default true). Requires 'aes-128' or 'aes-256'
+   */
+  encryptMetadata?: boolean;
+  /**
+   * 'embeddedFilesOnly' leaves the document open and encrypts only attachments through an
+   * /EFF crypt filter; readers ask for the user password when an attachment is opened
+   * (default 'all'). Requires 'aes-128' or 'aes-256'
+   */
+  encryptTarget?: 'all' | 'embeddedFilesOnly';
+  /**
+   * Crypto provider for this call (default: the one from setCryptoProvider, else
+   * node:crypto or WebCrypto when available, else pure JS)
+   */
+  crypto?: CryptoProvider | null;
+  /**
+   * Accept Math.random() for keys, IVs and file IDs when no secure random generator
+   * exists (default false: encryption fails instead)
+   */
+  allowInsecureRandom?: boolean;
+  /**
+   * Allow 'rc4-40', which can be brute-forced (default false: it is refused)
+   */
+  allowWeak?: boolean;
+  /**
+   * File identifier written as both elements of the trailer /ID (default: an existing
+   * first element is kept and the second replaced; files without an /ID get a random one)
+   */
+  fileId?: Uint8Array | null;
+  /**
+   * Source of every random value (AES IVs, AES-256 file key, new /ID elements) instead of
+   * the crypto provider. With fileId and a seeded generator the output is byte-identical
+   * for the same input; never use a predictable source for real secrets
+   */
+  random?: ((length: number) => Uint8Array | Promise<Uint8Array>) | null;
+  /** Called as the work goes through its phases (see EncryptProgress) */
+  onProgress?: (progress: EncryptProgress) => void;
+  /** Cancels the operation; the promise (or stream) rejects with the signal's reason */
+  signal?: AbortSignal;
+  /**
+   * What to resolve to (default 'uint8array'): a Blob of type application/pdf, an
+   * ArrayBuffer, a base64 string, or a ReadableStream that writes the file as it is read
+   */
+  output?: EncryptOutput;
+  /** Receives non-fatal issues (default: they go to console.warn) */
+  onWarning?: (warning: EncryptWarning) => void;
+  /**
+   * Resolve to { bytes, report } with an EncryptionReport of what was encrypted and
+   * what was left in the clear, for audit logs (default false). Not available with output 'stream'
+   */
+  report?: boolean;
+}
+
+/**
+ * Kinds of object an EncryptionReport counts separately
+ */
+export type EncryptionReportObjectKind = 'content' | 'image' | 'font' | 'xmp' | 'embeddedFile' | 'other';
+
+/**
+ * Why an object (or part of one) was left in the clear
+ * - 'encrypt-dictionary': the encryption dictionary itself
+ * - 'xref-stream': the cross-reference stream written with useObjectStreams
+ * - 'signature-contents': the /Contents of a signature dictionary
+ * - 'unencrypted-metadata': XMP metadata, with encryptMetadata: false
+ * - 'not-an-embedded-file': anything but attachments, with encryptTarget 'embeddedFilesOnly'
+ */
+export type EncryptionSkipReason =
+  'encrypt-dictionary' | 'xref-stream' | 'signature-contents' | 'unencrypted-metadata' | 'not-an-embedded-file';
+
+/**
+ * Record of what encryption did to a file, returned with report: true
+ */
+export interface EncryptionReport {
+  /** Algorithm used */
+  algorithm: EncryptionAlgorithm;
+  /** Security handler: 'Standard' for passwords, 'Adobe.PubSec' for certificates */
+  filter: 'Standard' | 'Adobe.PubSec';
+  /** /V of the encryption dictionary */
+  V: number;
+  /** /R of the encryption dictionary; null for certificate encryption */
+  R: number | null;
+  /** Key length in bits */
+  keyLength: number;
+  /** Password encryption: what the user password allows */
+  permissions?: PDFPermissions;
+  /** Password encryption: the /P value written */
+  permissionFlags?: number;
+  /** Certificate encryption: recipients grouped by what they may do */
+  recipients?: Array<{ count: number; permissions: PDFPermissions; permissionFlags: number }>;
+  /** Whether XMP metadata was encrypted */
+  encryptMetadata: boolean;
+  /** 'all', or 'embeddedFilesOnly' when only attachments were encrypted */
+  encryptTarget: 'all' | 'embeddedFilesOnly';
+  /** Streams and strings encrypted, per kind of object (strings in packed objects included) */
+  objects: Record<EncryptionReportObjectKind, { streams: number; strings: number }>;
+  /** Objects encrypted as part of an object stream rather than one by one */
+  packedObjects: number;
+  /** Objects left in the clear, and why */
+  skipped: Array<{ objectNumber: number; generationNumber: number; reason: EncryptionSkipReason }>;
+  /** Warnings raised, also passed to onWarning */
+  warnings: EncryptWarning[];
+  /** Size of the input file in bytes; null for encryptPDFDocument */
+  inputSize: number | null;
+  /** Size of the encrypted file in bytes */
+  outputSize: number;
+}
+
+/**
+ * Non-fatal issue passed to onWarning
+ */
+export interface EncryptWarning {
+  /** Stable identifier */
+  code: 'SIGNATURES_INVALIDATED' | 'NO_EMBEDDED_FILES' | string;
+  /** Human-readable description */
+  message: string;
+  /** Signatures invalidated, for 'SIGNATURES_INVALIDATED' */
+  signatureCount?: number;
+}
+
+/**
+ * Progress report passed to onProgress
+ */
+export interface EncryptProgress {
+  /** 'load' (parsing), 'encrypt' (objects) or 'save' (writing the file) */
+  phase: 'load' | 'encrypt' | 'save';
+  /** Objects finished in this phase */
+  objectsDone: number;
+  /** Objects in this phase, 0 while not yet known */
+  objectsTotal: number;
+  /** Bytes finished in this phase: input parsed, stream data encrypted, or output written */
+  bytesDone: number;
+}
+
+/**
+ * Options object for encryptPDF(pdfBytes, options)
+ */
+export interface EncryptPDFOptions extends EncryptOptions {
+  /**
+   * Password required to open the PDF ('' for none). PDFDocEncoding for RC4/AES-128,
+   * SASLprep + UTF-8 for AES-256
+   */
+  userPassword: string;
+  /** Owner password for permissions (default: same as userPassword) */
+  ownerPassword?: string | null;
+}
+
 /**
  * Encrypts a PDF with password protection
- * @param pdfBytes - The PDF file as Uint8Array
- * @param userPassword - Password required to open the PDF
+ * Options are validated before the PDF is parsed: unknown options, unsupported
+ * algorithms and passwords the algorithm cannot encode are rejected with a clear message
+ * @param pdfBytes - The PDF file
+ * @param options - Passwords and encryption options
+ * @returns Promise<Uint8Array> - The encrypted PDF, or the type options.output asks for;
+ *   { bytes, report } with options.report
+ * @throws InvalidOptionError if an option or password is malformed
+ * @throws InvalidPDFError if pdfBytes can't be parsed as a PDF
+ * @throws AlreadyEncryptedError if the PDF is already encrypted
+ * @throws SignedDocumentError if the PDF is signed and onSignedDocument is 'error'
+ * @throws PDFEncryptError with code 'INTERNAL_ERROR' for anything else
+ */
+export function encryptPDF<O extends EncryptOutput = 'uint8array', R extends boolean = false>(
+  pdfBytes: PDFInput,
+  options: EncryptPDFOptions & EncryptOutputOptions<O, R>
+): Promise<EncryptResult<O, R>>;
+
+/**
+ * Encrypts a PDF with password protection (positional form)
+ * @param pdfBytes - The PDF file
+ * @param userPassword - Password required to open the PDF (PDFDocEncoding for RC4/AES-128,
+ *   SASLprep + UTF-8 for AES-256)
  * @param ownerPassword - Optional owner password for permissions
- * @returns Promise<Uint8Array> - The encrypted PDF bytes
+ * @param options - Encryption options
+ * @returns Promise<Uint8Array> - The encrypted PDF, or the type options.output asks for;
+ *   { bytes, report } with options.report
+ * @throws InvalidOptionError if an option or password is malformed
+ * @throws InvalidPDFError if pdfBytes can't be parsed as a PDF
+ * @throws AlreadyEncryptedError if the PDF is already encrypted
+ * @throws SignedDocumentError if the PDF is signed and onSignedDocument is 'error'
+ * @throws PDFEncryptError with code 'INTERNAL_ERROR' for anything else
+ */
+export function encryptPDF<O extends EncryptOutput = 'uint8array', R extends boolean = false>(
+  pdfBytes: PDFInput,
+  userPassword: string,
+  ownerPassword?: string | null,
+  options?: EncryptOptions & EncryptOutputOptions<O, R>
+): Promise<EncryptResult<O, R>>;
+
+/**
+ * Options for encryptPDFDocument: encryptPDF's options plus the steps of pdfDoc.save() it runs
+ */
+export interface EncryptPDFDocumentOptions extends EncryptPDFOptions {
+  /** Add a blank page to an empty document, like pdfDoc.save() (default true) */
+  addDefaultPage?: boolean;
+  /** Regenerate form field appearances, like pdfDoc.save() (default true) */
+  updateFieldAppearances?: boolean;
+}
+
+/**
+ * Encrypts a pdf-lib PDFDocument directly, without saving and re-parsing it
+ * pdfDoc is left unencrypted afterwards, also when encryption fails partway
+ * (with output 'stream': once the stream has been read, has failed or was cancelled)
+ * @param pdfDoc - A pdf-lib document, created or loaded
+ * @param options - Passwords and encryption options
+ * @returns Promise<Uint8Array> - The encrypted PDF, or the type options.output asks for;
+ *   { bytes, report } with options.report
+ * @throws AlreadyEncryptedError if pdfDoc was loaded from an encrypted PDF
+ * @throws SignedDocumentError if pdfDoc is signed and onSignedDocument is 'error'
  */
-export function encryptPDF(
-  pdfBytes: Uint8Array, 
-  userPassword: string, 
-  ownerPassword?: string | null
+export function encryptPDFDocument<O extends EncryptOutput = 'uint8array', R extends boolean = false>(
+  pdfDoc: PDFDocument,
+  options: EncryptPDFDocumentOptions & EncryptOutputOptions<O, R>
+): Promise<EncryptResult<O, R>>;
+
+/**
+ * A certificate holder for encryptPDFForRecipients
+ */
+export interface PDFRecipient {
+  /** X.509 certificate as a PEM string or DER bytes (RSA keys only) */
+  certificate: string | Uint8Array | ArrayBuffer;
+  /** What this recipient may do (default: everything allowed) */
+  permissions?: PDFPermissions;
+}
+
+/**
+ * Options for encryptPDFForRecipients
+ */
+export interface RecipientEncryptOptions
+  extends Pick<EncryptOptions, 'onSignedDocument' | 'useObjectStreams' | 'compressStreams' | 'encryptMetadata' | 'crypto' | 'allowInsecureRandom' |
+    'fileId' | 'random' | 'onProgress' | 'signal' | 'output' | 'onWarning' | 'report'> {
+  /** Encryption algorithm; the file key is derived with SHA-1 or SHA-256 (default: 'aes-256') */
+  algorithm?: 'aes-128' | 'aes-256';
+}
+
+/**
+ * Encrypts a PDF for certificate holders (/Adobe.PubSec, adbe.pkcs7.s5)
+ * Each recipient opens the file with the private key of their certificate
+ * @param pdfBytes - The PDF file
+ * @param recipients - Certificates, or certificates with their own permissions
+ * @param options - Encryption options
+ * @returns Promise<Uint8Array> - The encrypted PDF, or the type options.output asks for;
+ *   { bytes, report } with options.report
+ * @throws AlreadyEncryptedError if the PDF is already encrypted
+ * @throws SignedDocumentError if the PDF is signed and onSignedDocument is 'error'
+ */
+export function encryptPDFForRecipients<O extends EncryptOutput = 'uint8array', R extends boolean = false>(
+  pdfBytes: PDFInput,
+  recipients: Array<PDFRecipient | string | Uint8Array | ArrayBuffer>,
+  options?: RecipientEncryptOptions & EncryptOutputOptions<O, R>
+): Promise<EncryptResult<O, R>>;
+
+/**
+ * Options for createEncryptionWorker
+ */
+export interface EncryptionWorkerOptions {
+  /** PDFs encrypted in parallel (default: one less than the number of cores, 1 to 4; 2 if unknown) */
+  size?: number;
+  /** Where to load the worker script from, when it isn't served next to the library (dist/encryption-worker.mjs, or .js with require) */
+  workerURL?: string | URL;
+}
+
+/**
+ * Options for encrypting in a worker: encryptPDF's, except the ones that hold
+ * functions (they can't be sent to another thread)
+ */
+export interface WorkerEncryptOptions extends Omit<EncryptPDFOptions, 'crypto' | 'random'> {
+  /** Hand the input's buffer to the worker instead of copying it; it is detached afterwards (default false) */
+  transferInput?: boolean;
+}
+
+/**
+ * A pool of encryption workers (Web Workers in browsers, worker_threads in Node.js)
+ */
+export interface EncryptionWorkerPool {
+  /** Most PDFs encrypted at once */
+  readonly size: number;
+  /**
+   * Encrypts a PDF in one of the pool's workers; same result and errors as encryptPDF
+   * Progress, warnings and the signal are relayed to and from the worker
+   */
+  encrypt<O extends EncryptOutput = 'uint8array', R extends boolean = false>(
+    pdfBytes: PDFInput,
+    options: WorkerEncryptOptions & EncryptOutputOptions<O, R>
+  ): Promise<EncryptResult<O, R>>;
+  /** Stops every worker; PDFs still waiting or in progress reject with an AbortError */
+  terminate(): Promise<void>;
+}
+
+/**
+ * Creates a pool of workers that encrypt PDFs off the main thread
+ * Workers start on first use; in Node.js idle workers don't keep the process alive
+ * @param options - Pool size and worker script location
+ * @throws InvalidOptionError if an option is malformed
+ */
+export function createEncryptionWorker(options?: EncryptionWorkerOptions): EncryptionWorkerPool;
+
+/**
+ * Encrypts a PDF off the main thread, in a pool shared by all calls
+ * @param pdfBytes - The PDF file
+ * @param options - Passwords and encryption options
+ * @returns Promise<Uint8Array> - The encrypted PDF, or the type options.output asks for;
+ *   { bytes, report } with options.report
+ * @throws Everything encryptPDF throws, with the same error classes
+ */
+export function encryptPDFInWorker<O extends EncryptOutput = 'uint8array', R extends boolean = false>(
+  pdfBytes: PDFInput,
+  options: WorkerEncryptOptions & EncryptOutputOptions<O, R>
+): Promise<EncryptResult<O, R>>;
+
+/**
+ * Options for wrapEncryptedPDF
+ */
+export interface WrapOptions {
+  /**
+   * Cover page text (paragraphs separated by blank lines, the first is the heading;
+   * WinAnsi characters only), or a PDF whose pages become the cover
+   */
+  coverPage?: string | Uint8Array | ArrayBuffer;
+  /** /EncryptedPayload /Subtype - the cryptographic filter needed (default: the payload's /Filter) */
+  subtype?: string;
+  /** /EncryptedPayload /Version of that filter (omitted by default) */
+  version?: string;
+  /** Attachment name of the payload (default: 'encrypted.pdf') */
+  fileName?: string;
+}
+
+/**
+ * Wraps an encrypted PDF in a PDF 2.0 unencrypted wrapper document: a readable
+ * cover page with the encrypted PDF attached as its /EncryptedPayload
+ * @param encryptedBytes - An encrypted PDF, e.g. from encryptPDF
+ * @param options - Cover page and payload description
+ * @returns Promise<Uint8Array> - The wrapper PDF bytes
+ */
+export function wrapEncryptedPDF(
+  encryptedBytes: PDFInput,
+  options?: WrapOptions
 ): Promise<Uint8Array>;
 
+/**
+ * Decrypts a password-protected PDF (revisions 2, 3, 4 and 6)
+ * A file with object streams keeps them; any other gets a classic xref table
+ * @param pdfBytes - The encrypted PDF file
+ * @param password - User or owner password
+ * @returns Promise<Uint8Array> - The decrypted PDF bytes
+ * @throws InvalidPDFError if pdfBytes can't be parsed as a PDF
+ * @throws NotEncryptedError if the PDF isn't encrypted
+ * @throws WrongPasswordError if the password is neither the user nor the owner password
+ * @throws UnsupportedEncryptionError for other security handlers and revisions
+ */
+export function decryptPDF(
+  pdfBytes: PDFInput,
+  password: string
+): Promise<Uint8Array>;
+
+/**
+ * New credentials and settings for changePassword
+ * Algorithm and permissions default to the ones the file already has
+ */
+export interface ChangePasswordOptions extends EncryptPDFOptions {}
+
+/**
+ * Decrypts with the old password and re-encrypts with new settings in one call
+ * @param pdfBytes - The encrypted PDF file
+ * @param oldPassword - Current user or owner password
+ * @param newOptions - New passwords, algorithm and permissions
+ * @returns Promise<Uint8Array> - The re-encrypted PDF, or the type newOptions.output asks for;
+ *   { bytes, report } with newOptions.report
+ */
+export function changePassword<O extends EncryptOutput = 'uint8array', R extends boolean = false>(
+  pdfBytes: PDFInput,
+  oldPassword: string,
+  newOptions: ChangePasswordOptions & EncryptOutputOptions<O, R>
+): Promise<EncryptResult<O, R>>;
+
+/**
+ * Base class of every error the library throws; on its own it means an
+ * unexpected internal failure (code 'INTERNAL_ERROR'), with the original error as cause
+ */
+export class PDFEncryptError extends Error {
+  constructor(message: string, code?: string, options?: { cause?: unknown });
+  readonly code: string;
+  readonly cause?: unknown;
+}
+
+/**
+ * Thrown when the input can't be parsed as a PDF
+ */
+export class InvalidPDFError extends PDFEncryptError {
+  readonly code: 'INVALID_PDF';
+}
+
+/**
+ * Thrown for malformed options or arguments, including passwords the algorithm
+ * can't encode and unusable certificates
+ */
+export class InvalidOptionError extends PDFEncryptError {
+  readonly code: 'INVALID_OPTION';
+}
+
+/**
+ * Thrown by encryptPDF when the input is already encrypted
+ */
+export class AlreadyEncryptedError extends PDFEncryptError {
+  readonly code: 'ALREADY_ENCRYPTED';
+}
+
+/**
+ * Thrown when decrypting, checking or wrapping a PDF that isn't encrypted
+ */
+export class NotEncryptedError extends PDFEncryptError {
+  readonly code: 'NOT_ENCRYPTED';
+}
+
+/**
+ * Thrown when neither the user nor the owner password matches
+ */
+export class WrongPasswordError extends PDFEncryptError {
+  readonly code: 'WRONG_PASSWORD';
+}
+
+/**
+ * Thrown for an encrypted PDF whose security handler or revision isn't supported
+ */
+export class UnsupportedEncryptionError extends PDFEncryptError {
+  readonly code: 'UNSUPPORTED_ENCRYPTION';
+}
+
+/**
+ * Thrown when the runtime lacks something the operation needs, such as a secure
+ * random number generator (pass a crypto provider, or allowInsecureRandom: true)
+ */
+export class UnsupportedEnvironmentError extends PDFEncryptError {
+  readonly code: 'UNSUPPORTED_ENVIRONMENT';
+}
+
+/**
+ * Thrown by encryptPDF when the input is signed and onSignedDocument is 'error'
+ */
+export class SignedDocumentError extends PDFEncryptError {
+  readonly code: 'SIGNED_DOCUMENT';
+  readonly signatureCount: number;
+}
+
+/**
+ * Crypt filter method: 'V2' (RC4), 'AESV2' (AES-128), 'AESV3' (AES-256) or 'None'
+ */
+export type CryptFilterMethod = 'V2' | 'AESV2' | 'AESV3' | 'None' | string;
+
+/**
+ * Encryption details reported by getEncryptionInfo
+ */
+export type EncryptionInfo =
+  | { encrypted: false }
+  | {
+      encrypted: true;
+      /** Security handler, e.g. 'Standard' */
+      filter: string | null;
+      subFilter: string | null;
+      V: number;
+      R: number | null;
+      /** Key length in bits */
+      keyLength: number;
+      cryptFilters: { streams: CryptFilterMethod; strings: CryptFilterMethod; embeddedFiles: CryptFilterMethod };
+      /** Decoded /P flags (null if the handler has no /P) */
+      permissions: Required<PDFPermissions> | null;
+      /** Raw /P value as a signed 32-bit integer */
+      permissionFlags: number | null;
+      encryptMetadata: boolean;
+    };
+
+/**
+ * Reports whether and how a PDF is encrypted, without a password
+ */
+export function getEncryptionInfo(pdfBytes: PDFInput): Promise<EncryptionInfo>;
+
+/**
+ * Checks which role a password grants on an encrypted PDF
+ * @returns 'owner', 'user', or null if the password is wrong
+ */
+export function checkPassword(pdfBytes: PDFInput, password: string): Promise<'owner' | 'user' | null>;
+
 /**
  * MD5 hash function
  * @param data - Data to hash (string or Uint8Array)
@@ -140,14 +752,73 @@ export function encryptPDF(
  */
 export function md5(data: string | Uint8Array): Uint8Array;
 
+/**
+ * Streaming MD5: call update() as data arrives, then digest() once
+ */
+export class MD5 {
+  constructor();
+  update(data: string | Uint8Array): this;
+  digest(): Uint8Array;
+}
+
+/**
+ * SHA-1 hash function
+ * @returns Uint8Array - SHA-1 hash (20 bytes)
+ */
+export function sha1(data: string | Uint8Array): Uint8Array;
+
+/**
+ * SHA-256 hash function
+ * @returns Uint8Array - SHA-256 hash (32 bytes)
+ */
+export function sha256(data: string | Uint8Array): Uint8Array;
+
+/**
+ * SHA-384 hash function
+ * @returns Uint8Array - SHA-384 hash (48 bytes)
+ */
+export function sha384(data: string | Uint8Array): Uint8Array;
+
+/**
+ * SHA-512 hash function
+ * @returns Uint8Array - SHA-512 hash (64 bytes)
+ */
+export function sha512(data: string | Uint8Array): Uint8Array;
+
 /**
  * RC4 encryption/decryption class
  */
 export class RC4 {
   constructor(key: Uint8Array);
-  process(data: Uint8Array): Uint8Array;
+  /**
+   * Encrypt/decrypt the next part of the stream
+   * @param output - Buffer for the result; pass data itself to work in place
+   */
+  process(data: Uint8Array, output?: Uint8Array): Uint8Array;
+}
+
+/**
+ * AES block cipher (16, 24 or 32 byte keys)
+ */
+export class AES {
+  constructor(key: Uint8Array);
+  encryptBlock(input: Uint8Array, inOffset: number, output: Uint8Array, outOffset: number): void;
+  decryptBlock(input: Uint8Array, inOffset: number, output: Uint8Array, outOffset: number): void;
 }
 
+/**
+ * AES-CBC encryption with PKCS#5 padding
+ * @returns Uint8Array - Ciphertext (without the IV)
+ */
+export function aesEncryptCBC(key: Uint8Array, data: Uint8Array, iv: Uint8Array, padding?: boolean): Uint8Array;
+
+/**
+ * AES-CBC decryption, removing PKCS#5 padding
+ * @param data - Ciphertext (without the IV)
+ * @returns Uint8Array - Plaintext
+ */
+export function aesDecryptCBC(key: Uint8Array, data: Uint8Array, iv: Uint8Array, padding?: boolean): Uint8Array;
+
 /**
  * Convert hex string to Uint8Array
  */
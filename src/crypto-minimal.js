@@ -11,155 +11,831 @@
  * Total size: ~7KB for complete PDF encryption!
  */
 
+import { UnsupportedEnvironmentError } from './errors.js';
+
 // Minimal cryptographic functions for PDF encryption
 // Implements only what's needed for PDF Standard Security Handler
 
+// MD5 constants: per-step shift amounts, additive constants (floor(abs(sin(i + 1))) * 2^32)
+// and the message word each step reads
+const MD5_S = new Uint8Array([
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+]);
+
+const MD5_K = new Int32Array([
+  0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee,
+  0xf57c0faf, 0x4787c62a, 0xa8304613, 0xfd469501,
+  0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be,
+  0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821,
+  0xf61e2562, 0xc040b340, 0x265e5a51, 0xe9b6c7aa,
+  0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
+  0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed,
+  0xa9e3e905, 0xfcefa3f8, 0x676f02d9, 0x8d2a4c8a,
+  0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c,
+  0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70,
+  0x289b7ec6, 0xeaa127fa, 0xd4ef3085, 0x04881d05,
+  0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
+  0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039,
+  0x655b59c3, 0x8f0ccc92, 0xffeff47d, 0x85845dd1,
+  0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1,
+  0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391
+]);
+
+const MD5_G = new Uint8Array(64);
+for (let i = 0; i < 64; i++) {
+  MD5_G[i] = i < 16 ? i : i < 32 ? (5 * i + 1) % 16 : i < 48 ? (3 * i + 5) % 16 : (7 * i) % 16;
+}
+
 /**
- * Minimal MD5 implementation
- * Based on the MD5 algorithm - only what's needed for PDF encryption
+ * Streaming MD5
+ * Feed data with update() as it arrives, then call digest() once.
+ * Message words are assembled byte by byte, so the result doesn't depend on
+ * the host's endianness, and full blocks are hashed straight from the input
+ * without copying it.
  * Part of PDFSmaller.com's ultra-lightweight encryption engine
  */
-export function md5(data) {
-  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
-  
-  // Initialize MD5 constants
-  const S = [
-    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
-    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
-    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
-    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
-  ];
-  
-  const K = new Uint32Array([
-    0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee,
-    0xf57c0faf, 0x4787c62a, 0xa8304613, 0xfd469501,
-    0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be,
-    0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821,
-    0xf61e2562, 0xc040b340, 0x265e5a51, 0xe9b6c7aa,
-    0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
-    0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed,
-    0xa9e3e905, 0xfcefa3f8, 0x676f02d9, 0x8d2a4c8a,
-    0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c,
-    0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70,
-    0x289b7ec6, 0xeaa127fa, 0xd4ef3085, 0x04881d05,
-    0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
-    0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039,
-    0x655b59c3, 0x8f0ccc92, 0xffeff47d, 0x85845dd1,
-    0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1,
-    0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391
-  ]);
-  
-  // Initialize hash values
-  let a0 = 0x67452301;
-  let b0 = 0xefcdab89;
-  let c0 = 0x98badcfe;
-  let d0 = 0x10325476;
-  
-  // Pre-processing
-  const msgLen = bytes.length;
-  const msgBitLen = msgLen * 8;
-  const msgLenPadded = ((msgLen + 9 + 63) & ~63);
-  const msg = new Uint8Array(msgLenPadded);
-  msg.set(bytes);
-  msg[msgLen] = 0x80;
-  
-  // Append length in bits
-  const dataView = new DataView(msg.buffer);
-  dataView.setUint32(msgLenPadded - 8, msgBitLen, true);
-  dataView.setUint32(msgLenPadded - 4, 0, true);
+export class MD5 {
+  constructor() {
+    this.state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.length = 0;
+    this.words = new Int32Array(16);
+    this.finished = false;
+  }
   
-  // Process message in 512-bit chunks
-  for (let offset = 0; offset < msgLenPadded; offset += 64) {
-    const chunk = new Uint32Array(msg.buffer, offset, 16);
+  /**
+   * Hash one 64-byte block starting at offset
+   */
+  compress(bytes, offset) {
+    const X = this.words;
+    for (let t = 0; t < 16; t++, offset += 4) {
+      X[t] = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+    }
     
-    let a = a0, b = b0, c = c0, d = d0;
+    const H = this.state;
+    let a = H[0], b = H[1], c = H[2], d = H[3];
     
-    for (let i = 0; i < 64; i++) {
-      let f, g;
-      
-      if (i < 16) {
-        f = (b & c) | ((~b) & d);
-        g = i;
-      } else if (i < 32) {
-        f = (d & b) | ((~d) & c);
-        g = (5 * i + 1) % 16;
-      } else if (i < 48) {
-        f = b ^ c ^ d;
-        g = (3 * i + 5) % 16;
-      } else {
-        f = c ^ (b | (~d));
-        g = (7 * i) % 16;
-      }
-      
-      f = (f + a + K[i] + chunk[g]) >>> 0;
-      a = d;
-      d = c;
-      c = b;
-      b = (b + ((f << S[i]) | (f >>> (32 - S[i])))) >>> 0;
+    // One loop per round keeps the round function out of the inner branch
+    for (let i = 0; i < 16; i++) {
+      const f = (a + ((b & c) | (~b & d)) + MD5_K[i] + X[MD5_G[i]]) | 0;
+      a = d; d = c; c = b;
+      b = (b + ((f << MD5_S[i]) | (f >>> (32 - MD5_S[i])))) | 0;
+    }
+    for (let i = 16; i < 32; i++) {
+      const f = (a + ((d & b) | (~d & c)) + MD5_K[i] + X[MD5_G[i]]) | 0;
+      a = d; d = c; c = b;
+      b = (b + ((f << MD5_S[i]) | (f >>> (32 - MD5_S[i])))) | 0;
+    }
+    for (let i = 32; i < 48; i++) {
+      const f = (a + (b ^ c ^ d) + MD5_K[i] + X[MD5_G[i]]) | 0;
+      a = d; d = c; c = b;
+      b = (b + ((f << MD5_S[i]) | (f >>> (32 - MD5_S[i])))) | 0;
+    }
+    for (let i = 48; i < 64; i++) {
+      const f = (a + (c ^ (b | ~d)) + MD5_K[i] + X[MD5_G[i]]) | 0;
+      a = d; d = c; c = b;
+      b = (b + ((f << MD5_S[i]) | (f >>> (32 - MD5_S[i])))) | 0;
     }
     
-    a0 = (a0 + a) >>> 0;
-    b0 = (b0 + b) >>> 0;
-    c0 = (c0 + c) >>> 0;
-    d0 = (d0 + d) >>> 0;
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d;
   }
   
-  // Produce the final hash value
-  const result = new Uint8Array(16);
-  const view = new DataView(result.buffer);
-  view.setUint32(0, a0, true);
-  view.setUint32(4, b0, true);
-  view.setUint32(8, c0, true);
-  view.setUint32(12, d0, true);
+  /**
+   * Add data to the hash
+   * @param {Uint8Array|string} data - Bytes, or a string hashed as UTF-8
+   * @returns {MD5} - This hash, for chaining
+   */
+  update(data) {
+    if (this.finished) {
+      throw new Error('MD5 digest() was already called');
+    }
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    let offset = 0;
+    this.length += bytes.length;
+    
+    // Top up a partial block first
+    if (this.blockLength > 0) {
+      const take = Math.min(64 - this.blockLength, bytes.length);
+      this.block.set(bytes.subarray(0, take), this.blockLength);
+      this.blockLength += take;
+      offset = take;
+      if (this.blockLength < 64) return this;
+      this.compress(this.block, 0);
+      this.blockLength = 0;
+    }
+    
+    for (; offset + 64 <= bytes.length; offset += 64) {
+      this.compress(bytes, offset);
+    }
+    
+    if (offset < bytes.length) {
+      this.block.set(bytes.subarray(offset));
+      this.blockLength = bytes.length - offset;
+    }
+    return this;
+  }
   
-  return result;
+  /**
+   * Finish the hash
+   * @returns {Uint8Array} - The 16-byte digest
+   */
+  digest() {
+    if (this.finished) {
+      throw new Error('MD5 digest() was already called');
+    }
+    this.finished = true;
+    
+    // 0x80, zeros, then the bit length as a little-endian 64-bit number
+    const block = this.block;
+    block[this.blockLength++] = 0x80;
+    if (this.blockLength > 56) {
+      block.fill(0, this.blockLength);
+      this.compress(block, 0);
+      this.blockLength = 0;
+    }
+    block.fill(0, this.blockLength, 56);
+    const bitLengthLow = (this.length * 8) >>> 0;
+    const bitLengthHigh = Math.floor(this.length / 0x20000000);
+    for (let i = 0; i < 4; i++) {
+      block[56 + i] = (bitLengthLow >>> (8 * i)) & 0xFF;
+      block[60 + i] = (bitLengthHigh >>> (8 * i)) & 0xFF;
+    }
+    this.compress(block, 0);
+    
+    const result = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+      result[i] = (this.state[i >> 2] >>> (8 * (i & 3))) & 0xFF;
+    }
+    return result;
+  }
+}
+
+/**
+ * Minimal MD5 implementation
+ * One-shot form of the MD5 class
+ * Part of PDFSmaller.com's ultra-lightweight encryption engine
+ */
+export function md5(data) {
+  return new MD5().update(data).digest();
 }
 
 /**
  * RC4 encryption/decryption
  * RC4 is symmetric, so encryption and decryption are the same operation
+ * Keeps its position between process() calls, so a long stream can be handled in chunks
  * Part of PDFSmaller.com's ultra-lightweight encryption engine
  */
 export class RC4 {
   constructor(key) {
-    this.s = new Uint8Array(256);
+    const s = new Uint8Array(256);
+    this.s = s;
     this.i = 0;
     this.j = 0;
     
     // Key scheduling algorithm (KSA)
     for (let i = 0; i < 256; i++) {
-      this.s[i] = i;
+      s[i] = i;
     }
     
-    let j = 0;
-    for (let i = 0; i < 256; i++) {
-      j = (j + this.s[i] + key[i % key.length]) & 0xFF;
-      // Swap
-      [this.s[i], this.s[j]] = [this.s[j], this.s[i]];
+    const keyLength = key.length;
+    for (let i = 0, j = 0; i < 256; i++) {
+      const t = s[i];
+      j = (j + t + key[i % keyLength]) & 0xFF;
+      s[i] = s[j];
+      s[j] = t;
     }
   }
   
   /**
    * Encrypt/decrypt data
+   * Pass data itself as output to work in place, or any buffer at least as long as data
    * @param {Uint8Array} data - Data to encrypt or decrypt
-   * @returns {Uint8Array} - Encrypted/decrypted data
+   * @param {Uint8Array} [output] - Where to write the result (a new array by default)
+   * @returns {Uint8Array} - The output buffer, trimmed to data.length
    */
-  process(data) {
-    const result = new Uint8Array(data.length);
+  process(data, output) {
+    const length = data.length;
+    let out = output;
+    if (out === undefined) {
+      out = new Uint8Array(length);
+    } else if (out.length < length) {
+      throw new Error(`RC4 output buffer is too small (${out.length} bytes, need ${length})`);
+    }
+    
+    // Work on locals; property access in the byte loop is what makes RC4 slow
+    const s = this.s;
+    let i = this.i;
+    let j = this.j;
+    
+    for (let k = 0; k < length; k++) {
+      i = (i + 1) & 0xFF;
+      const si = s[i];
+      j = (j + si) & 0xFF;
+      const sj = s[j];
+      s[i] = sj;
+      s[j] = si;
+      out[k] = data[k] ^ s[(si + sj) & 0xFF];
+    }
+    
+    this.i = i;
+    this.j = j;
+    return out.length === length ? out : out.subarray(0, length);
+  }
+}
+
+// SHA-512 round constants as [high, low] 32-bit words
+// The high words of the first 64 double as the SHA-256 constants
+const SHA512_K = new Uint32Array([
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+]);
+
+// Initial hash values as [high, low] 32-bit words
+// The high words of the SHA-512 values are the SHA-256 initial values
+const SHA512_IV = [
+  0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+  0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+];
+
+const SHA384_IV = [
+  0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+  0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4
+];
+
+/**
+ * Pad a message for SHA-2 (0x80, zeros, big-endian bit length)
+ */
+function sha2Pad(bytes, blockSize) {
+  const lengthBytes = blockSize / 8;
+  const paddedLength = Math.ceil((bytes.length + 1 + lengthBytes) / blockSize) * blockSize;
+  const msg = new Uint8Array(paddedLength);
+  msg.set(bytes);
+  msg[bytes.length] = 0x80;
+  
+  const bitLength = bytes.length * 8;
+  const view = new DataView(msg.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+  return msg;
+}
+
+/**
+ * Minimal SHA-1 implementation
+ * Needed for the public-key (Adobe.PubSec) file key with AES-128
+ * Part of PDFSmaller.com's ultra-lightweight encryption engine
+ */
+export function sha1(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const msg = sha2Pad(bytes, 64);
+  const W = new Uint32Array(80);
+  const H = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+  
+  for (let offset = 0; offset < msg.length; offset += 64) {
+    for (let t = 0; t < 16; t++) {
+      W[t] = readUint32BE(msg, offset + 4 * t);
+    }
+    for (let t = 16; t < 80; t++) {
+      const x = W[t - 3] ^ W[t - 8] ^ W[t - 14] ^ W[t - 16];
+      W[t] = (x << 1) | (x >>> 31);
+    }
+    
+    let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4];
+    
+    for (let t = 0; t < 80; t++) {
+      let f, k;
+      if (t < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (t < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (t < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const temp = (((a << 5) | (a >>> 27)) + f + e + k + W[t]) | 0;
+      e = d;
+      d = c;
+      c = (b << 30) | (b >>> 2);
+      b = a;
+      a = temp;
+    }
+    
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d; H[4] += e;
+  }
+  
+  const result = new Uint8Array(20);
+  for (let i = 0; i < 5; i++) {
+    writeUint32BE(result, 4 * i, H[i]);
+  }
+  return result;
+}
+
+/**
+ * Minimal SHA-256 implementation
+ * Needed for the AES-256 (Revision 6) password hash
+ * Part of PDFSmaller.com's ultra-lightweight encryption engine
+ */
+export function sha256(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const msg = sha2Pad(bytes, 64);
+  const W = new Uint32Array(64);
+  const H = new Uint32Array(8);
+  for (let i = 0; i < 8; i++) {
+    H[i] = SHA512_IV[2 * i];
+  }
+  
+  for (let offset = 0; offset < msg.length; offset += 64) {
+    for (let t = 0; t < 16; t++) {
+      W[t] = readUint32BE(msg, offset + 4 * t);
+    }
+    for (let t = 16; t < 64; t++) {
+      const w15 = W[t - 15];
+      const w2 = W[t - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      W[t] = W[t - 16] + s0 + W[t - 7] + s1;
+    }
+    
+    let a = H[0], b = H[1], c = H[2], d = H[3];
+    let e = H[4], f = H[5], g = H[6], h = H[7];
+    
+    for (let t = 0; t < 64; t++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + SHA512_K[2 * t] + W[t]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+    H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+  }
+  
+  const result = new Uint8Array(32);
+  for (let i = 0; i < 8; i++) {
+    writeUint32BE(result, 4 * i, H[i]);
+  }
+  return result;
+}
+
+/**
+ * SHA-512 family core working on [high, low] 32-bit word pairs
+ * JavaScript has no fast 64-bit integers, so every 64-bit add carries by hand
+ */
+function sha512Core(data, iv, outputLength) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const msg = sha2Pad(bytes, 128);
+  const W = new Int32Array(160);
+  const H = new Int32Array(iv);
+  
+  for (let offset = 0; offset < msg.length; offset += 128) {
+    for (let t = 0; t < 32; t++) {
+      W[t] = readUint32BE(msg, offset + 4 * t);
+    }
+    for (let t = 16; t < 80; t++) {
+      // sigma0 = rotr1 ^ rotr8 ^ shr7
+      let xh = W[2 * (t - 15)];
+      let xl = W[2 * (t - 15) + 1];
+      const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+      const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+      
+      // sigma1 = rotr19 ^ rotr61 ^ shr6
+      xh = W[2 * (t - 2)];
+      xl = W[2 * (t - 2) + 1];
+      const s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+      const s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^ ((xl >>> 6) | (xh << 26));
+      
+      const lo = (s0l >>> 0) + (s1l >>> 0) + (W[2 * (t - 7) + 1] >>> 0) + (W[2 * (t - 16) + 1] >>> 0);
+      W[2 * t] = s0h + s1h + W[2 * (t - 7)] + W[2 * (t - 16)] + Math.floor(lo / 0x100000000);
+      W[2 * t + 1] = lo;
+    }
+    
+    let ah = H[0], al = H[1], bh = H[2], bl = H[3];
+    let ch = H[4], cl = H[5], dh = H[6], dl = H[7];
+    let eh = H[8], el = H[9], fh = H[10], fl = H[11];
+    let gh = H[12], gl = H[13], hh = H[14], hl = H[15];
     
-    for (let k = 0; k < data.length; k++) {
-      this.i = (this.i + 1) & 0xFF;
-      this.j = (this.j + this.s[this.i]) & 0xFF;
+    for (let t = 0; t < 80; t++) {
+      // Sigma1 = rotr14 ^ rotr18 ^ rotr41
+      const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+      const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+      const chh = (eh & fh) ^ (~eh & gh);
+      const chl = (el & fl) ^ (~el & gl);
       
-      // Swap
-      [this.s[this.i], this.s[this.j]] = [this.s[this.j], this.s[this.i]];
+      const t1l = (hl >>> 0) + (S1l >>> 0) + (chl >>> 0) + SHA512_K[2 * t + 1] + (W[2 * t + 1] >>> 0);
+      const t1h = hh + S1h + chh + SHA512_K[2 * t] + W[2 * t] + Math.floor(t1l / 0x100000000);
       
-      const t = (this.s[this.i] + this.s[this.j]) & 0xFF;
-      result[k] = data[k] ^ this.s[t];
+      // Sigma0 = rotr28 ^ rotr34 ^ rotr39
+      const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+      const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+      const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+      const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+      
+      hh = gh; hl = gl;
+      gh = fh; gl = fl;
+      fh = eh; fl = el;
+      const el2 = (dl >>> 0) + (t1l >>> 0);
+      eh = (dh + t1h + Math.floor(el2 / 0x100000000)) | 0;
+      el = el2 | 0;
+      dh = ch; dl = cl;
+      ch = bh; cl = bl;
+      bh = ah; bl = al;
+      const al2 = (t1l >>> 0) + (S0l >>> 0) + (majl >>> 0);
+      ah = (t1h + S0h + majh + Math.floor(al2 / 0x100000000)) | 0;
+      al = al2 | 0;
     }
     
-    return result;
+    const state = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+    for (let i = 0; i < 16; i += 2) {
+      const lo = (H[i + 1] >>> 0) + (state[i + 1] >>> 0);
+      H[i] = H[i] + state[i] + Math.floor(lo / 0x100000000);
+      H[i + 1] = lo;
+    }
+  }
+  
+  const result = new Uint8Array(outputLength);
+  for (let i = 0; i < outputLength / 4; i++) {
+    writeUint32BE(result, 4 * i, H[i]);
+  }
+  return result;
+}
+
+/**
+ * Minimal SHA-384 implementation
+ * Used by the AES-256 (Revision 6) password hash
+ */
+export function sha384(data) {
+  return sha512Core(data, SHA384_IV, 48);
+}
+
+/**
+ * Minimal SHA-512 implementation
+ * Used by the AES-256 (Revision 6) password hash
+ */
+export function sha512(data) {
+  return sha512Core(data, SHA512_IV, 64);
+}
+
+// AES lookup tables, generated once on first use to keep the bundle tiny
+const SBOX = new Uint8Array(256);
+const T0 = new Uint32Array(256);
+const T1 = new Uint32Array(256);
+const T2 = new Uint32Array(256);
+const T3 = new Uint32Array(256);
+const INV_SBOX = new Uint8Array(256);
+const D0 = new Uint32Array(256);
+const D1 = new Uint32Array(256);
+const D2 = new Uint32Array(256);
+const D3 = new Uint32Array(256);
+let aesTablesReady = false;
+
+/**
+ * Multiply by x in GF(2^8)
+ */
+function xtime(b) {
+  return ((b << 1) ^ (b & 0x80 ? 0x1B : 0)) & 0xFF;
+}
+
+/**
+ * Multiply two elements of GF(2^8)
+ */
+function gmul(a, b) {
+  let result = 0;
+  while (b) {
+    if (b & 1) result ^= a;
+    a = xtime(a);
+    b >>= 1;
+  }
+  return result;
+}
+
+/**
+ * Build the AES S-box and round tables (FIPS-197)
+ * Walks GF(2^8) with generator 3 instead of shipping 1KB+ of constants
+ */
+function initAESTables() {
+  let p = 1;
+  let q = 1;
+  do {
+    // p = p * 3, q = q / 3
+    p = p ^ xtime(p);
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xFF;
+    if (q & 0x80) q ^= 0x09;
+    
+    // Affine transformation of the multiplicative inverse
+    const x = q ^ ((q << 1) | (q >> 7)) ^ ((q << 2) | (q >> 6)) ^
+      ((q << 3) | (q >> 5)) ^ ((q << 4) | (q >> 4));
+    SBOX[p] = (x ^ 0x63) & 0xFF;
+    INV_SBOX[SBOX[p]] = p;
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+  INV_SBOX[0x63] = 0;
+  
+  for (let i = 0; i < 256; i++) {
+    const s = SBOX[i];
+    const s2 = xtime(s);
+    const t = ((s2 << 24) | (s << 16) | (s << 8) | (s2 ^ s)) >>> 0;
+    T0[i] = t;
+    T1[i] = ((t >>> 8) | (t << 24)) >>> 0;
+    T2[i] = ((t >>> 16) | (t << 16)) >>> 0;
+    T3[i] = ((t >>> 24) | (t << 8)) >>> 0;
+    
+    // Inverse tables combine InvSubBytes and InvMixColumns
+    const v = INV_SBOX[i];
+    const d = ((gmul(v, 0x0E) << 24) | (gmul(v, 0x09) << 16) | (gmul(v, 0x0D) << 8) | gmul(v, 0x0B)) >>> 0;
+    D0[i] = d;
+    D1[i] = ((d >>> 8) | (d << 24)) >>> 0;
+    D2[i] = ((d >>> 16) | (d << 16)) >>> 0;
+    D3[i] = ((d >>> 24) | (d << 8)) >>> 0;
+  }
+  
+  aesTablesReady = true;
+}
+
+/**
+ * AES block cipher (128, 192 or 256-bit keys)
+ * PDF uses AES-128 (AESV2) and AES-256 (AESV3) in CBC mode
+ * Part of PDFSmaller.com's ultra-lightweight encryption engine
+ */
+export class AES {
+  constructor(key) {
+    if (key.length !== 16 && key.length !== 24 && key.length !== 32) {
+      throw new Error(`Invalid AES key length: ${key.length} bytes`);
+    }
+    if (!aesTablesReady) {
+      initAESTables();
+    }
+    
+    // Key expansion
+    const nk = key.length / 4;
+    this.rounds = nk + 6;
+    const total = 4 * (this.rounds + 1);
+    const w = new Uint32Array(total);
+    
+    for (let i = 0; i < nk; i++) {
+      w[i] = ((key[4 * i] << 24) | (key[4 * i + 1] << 16) | (key[4 * i + 2] << 8) | key[4 * i + 3]) >>> 0;
+    }
+    
+    let rcon = 1;
+    for (let i = nk; i < total; i++) {
+      let t = w[i - 1];
+      if (i % nk === 0) {
+        // RotWord + SubWord + Rcon
+        t = (SBOX[(t >>> 16) & 0xFF] << 24) | (SBOX[(t >>> 8) & 0xFF] << 16) |
+          (SBOX[t & 0xFF] << 8) | SBOX[t >>> 24];
+        t ^= rcon << 24;
+        rcon = xtime(rcon);
+      } else if (nk > 6 && i % nk === 4) {
+        t = (SBOX[t >>> 24] << 24) | (SBOX[(t >>> 16) & 0xFF] << 16) |
+          (SBOX[(t >>> 8) & 0xFF] << 8) | SBOX[t & 0xFF];
+      }
+      w[i] = (w[i - nk] ^ t) >>> 0;
+    }
+    
+    this.encKey = w;
+    this.decKey = null;
+  }
+  
+  /**
+   * Round keys for the equivalent inverse cipher, built on first decrypt
+   */
+  getDecryptionKey() {
+    if (!this.decKey) {
+      const ek = this.encKey;
+      const dk = new Uint32Array(ek.length);
+      for (let r = 0; r <= this.rounds; r++) {
+        for (let c = 0; c < 4; c++) {
+          const w = ek[4 * (this.rounds - r) + c];
+          dk[4 * r + c] = (r === 0 || r === this.rounds) ? w : (D0[SBOX[w >>> 24]] ^ D1[SBOX[(w >>> 16) & 0xFF]] ^
+            D2[SBOX[(w >>> 8) & 0xFF]] ^ D3[SBOX[w & 0xFF]]);
+        }
+      }
+      this.decKey = dk;
+    }
+    return this.decKey;
   }
+  
+  /**
+   * Encrypt one 16-byte block
+   * @param {Uint8Array} input - Source buffer
+   * @param {number} inOffset - Offset of the block in input
+   * @param {Uint8Array} output - Destination buffer (may be the same as input)
+   * @param {number} outOffset - Offset of the block in output
+   */
+  encryptBlock(input, inOffset, output, outOffset) {
+    const k = this.encKey;
+    let s0 = readUint32BE(input, inOffset) ^ k[0];
+    let s1 = readUint32BE(input, inOffset + 4) ^ k[1];
+    let s2 = readUint32BE(input, inOffset + 8) ^ k[2];
+    let s3 = readUint32BE(input, inOffset + 12) ^ k[3];
+    
+    let ki = 4;
+    for (let r = 1; r < this.rounds; r++) {
+      const t0 = T0[s0 >>> 24] ^ T1[(s1 >>> 16) & 0xFF] ^ T2[(s2 >>> 8) & 0xFF] ^ T3[s3 & 0xFF] ^ k[ki];
+      const t1 = T0[s1 >>> 24] ^ T1[(s2 >>> 16) & 0xFF] ^ T2[(s3 >>> 8) & 0xFF] ^ T3[s0 & 0xFF] ^ k[ki + 1];
+      const t2 = T0[s2 >>> 24] ^ T1[(s3 >>> 16) & 0xFF] ^ T2[(s0 >>> 8) & 0xFF] ^ T3[s1 & 0xFF] ^ k[ki + 2];
+      const t3 = T0[s3 >>> 24] ^ T1[(s0 >>> 16) & 0xFF] ^ T2[(s1 >>> 8) & 0xFF] ^ T3[s2 & 0xFF] ^ k[ki + 3];
+      s0 = t0;
+      s1 = t1;
+      s2 = t2;
+      s3 = t3;
+      ki += 4;
+    }
+    
+    // Final round (no MixColumns)
+    writeUint32BE(output, outOffset, ((SBOX[s0 >>> 24] << 24) | (SBOX[(s1 >>> 16) & 0xFF] << 16) |
+      (SBOX[(s2 >>> 8) & 0xFF] << 8) | SBOX[s3 & 0xFF]) ^ k[ki]);
+    writeUint32BE(output, outOffset + 4, ((SBOX[s1 >>> 24] << 24) | (SBOX[(s2 >>> 16) & 0xFF] << 16) |
+      (SBOX[(s3 >>> 8) & 0xFF] << 8) | SBOX[s0 & 0xFF]) ^ k[ki + 1]);
+    writeUint32BE(output, outOffset + 8, ((SBOX[s2 >>> 24] << 24) | (SBOX[(s3 >>> 16) & 0xFF] << 16) |
+      (SBOX[(s0 >>> 8) & 0xFF] << 8) | SBOX[s1 & 0xFF]) ^ k[ki + 2]);
+    writeUint32BE(output, outOffset + 12, ((SBOX[s3 >>> 24] << 24) | (SBOX[(s0 >>> 16) & 0xFF] << 16) |
+      (SBOX[(s1 >>> 8) & 0xFF] << 8) | SBOX[s2 & 0xFF]) ^ k[ki + 3]);
+  }
+  
+  /**
+   * Decrypt one 16-byte block
+   * @param {Uint8Array} input - Source buffer
+   * @param {number} inOffset - Offset of the block in input
+   * @param {Uint8Array} output - Destination buffer (may be the same as input)
+   * @param {number} outOffset - Offset of the block in output
+   */
+  decryptBlock(input, inOffset, output, outOffset) {
+    const k = this.getDecryptionKey();
+    let s0 = readUint32BE(input, inOffset) ^ k[0];
+    let s1 = readUint32BE(input, inOffset + 4) ^ k[1];
+    let s2 = readUint32BE(input, inOffset + 8) ^ k[2];
+    let s3 = readUint32BE(input, inOffset + 12) ^ k[3];
+    
+    let ki = 4;
+    for (let r = 1; r < this.rounds; r++) {
+      const t0 = D0[s0 >>> 24] ^ D1[(s3 >>> 16) & 0xFF] ^ D2[(s2 >>> 8) & 0xFF] ^ D3[s1 & 0xFF] ^ k[ki];
+      const t1 = D0[s1 >>> 24] ^ D1[(s0 >>> 16) & 0xFF] ^ D2[(s3 >>> 8) & 0xFF] ^ D3[s2 & 0xFF] ^ k[ki + 1];
+      const t2 = D0[s2 >>> 24] ^ D1[(s1 >>> 16) & 0xFF] ^ D2[(s0 >>> 8) & 0xFF] ^ D3[s3 & 0xFF] ^ k[ki + 2];
+      const t3 = D0[s3 >>> 24] ^ D1[(s2 >>> 16) & 0xFF] ^ D2[(s1 >>> 8) & 0xFF] ^ D3[s0 & 0xFF] ^ k[ki + 3];
+      s0 = t0;
+      s1 = t1;
+      s2 = t2;
+      s3 = t3;
+      ki += 4;
+    }
+    
+    // Final round (no InvMixColumns)
+    writeUint32BE(output, outOffset, ((INV_SBOX[s0 >>> 24] << 24) | (INV_SBOX[(s3 >>> 16) & 0xFF] << 16) |
+      (INV_SBOX[(s2 >>> 8) & 0xFF] << 8) | INV_SBOX[s1 & 0xFF]) ^ k[ki]);
+    writeUint32BE(output, outOffset + 4, ((INV_SBOX[s1 >>> 24] << 24) | (INV_SBOX[(s0 >>> 16) & 0xFF] << 16) |
+      (INV_SBOX[(s3 >>> 8) & 0xFF] << 8) | INV_SBOX[s2 & 0xFF]) ^ k[ki + 1]);
+    writeUint32BE(output, outOffset + 8, ((INV_SBOX[s2 >>> 24] << 24) | (INV_SBOX[(s1 >>> 16) & 0xFF] << 16) |
+      (INV_SBOX[(s0 >>> 8) & 0xFF] << 8) | INV_SBOX[s3 & 0xFF]) ^ k[ki + 2]);
+    writeUint32BE(output, outOffset + 12, ((INV_SBOX[s3 >>> 24] << 24) | (INV_SBOX[(s2 >>> 16) & 0xFF] << 16) |
+      (INV_SBOX[(s1 >>> 8) & 0xFF] << 8) | INV_SBOX[s0 & 0xFF]) ^ k[ki + 3]);
+  }
+}
+
+function readUint32BE(bytes, offset) {
+  return (bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+}
+
+function writeUint32BE(bytes, offset, value) {
+  bytes[offset] = value >>> 24;
+  bytes[offset + 1] = (value >>> 16) & 0xFF;
+  bytes[offset + 2] = (value >>> 8) & 0xFF;
+  bytes[offset + 3] = value & 0xFF;
+}
+
+/**
+ * AES-CBC encryption with PKCS#5 padding
+ * This is the layout PDF expects for AESV2/AESV3 crypt filters
+ * @param {Uint8Array} key - 16 or 32 byte AES key
+ * @param {Uint8Array} data - Plaintext
+ * @param {Uint8Array} iv - 16 byte initialization vector
+ * @param {boolean} [padding=true] - Set to false for block-aligned key material (R6 /UE, /OE, /Perms)
+ * @returns {Uint8Array} - Ciphertext (without the IV)
+ */
+export function aesEncryptCBC(key, data, iv, padding = true) {
+  const aes = new AES(key);
+  if (!padding && data.length % 16 !== 0) {
+    throw new Error('Data must be a multiple of 16 bytes when padding is disabled');
+  }
+  const padLength = padding ? 16 - (data.length % 16) : 0;
+  const result = new Uint8Array(data.length + padLength);
+  result.set(data);
+  result.fill(padLength, data.length);
+  
+  for (let offset = 0; offset < result.length; offset += 16) {
+    // XOR with the previous ciphertext block (or the IV)
+    const prev = offset === 0 ? iv : result;
+    const prevOffset = offset === 0 ? 0 : offset - 16;
+    for (let i = 0; i < 16; i++) {
+      result[offset + i] ^= prev[prevOffset + i];
+    }
+    aes.encryptBlock(result, offset, result, offset);
+  }
+  
+  return result;
+}
+
+/**
+ * AES-CBC decryption, removing PKCS#5 padding
+ * Lenient like PDF readers: trailing partial blocks are ignored and
+ * invalid padding is left in place rather than throwing
+ * @param {Uint8Array} key - 16 or 32 byte AES key
+ * @param {Uint8Array} data - Ciphertext (without the IV)
+ * @param {Uint8Array} iv - 16 byte initialization vector
+ * @param {boolean} [padding=true] - Set to false for block-aligned key material (R6 /UE, /OE, /Perms)
+ * @returns {Uint8Array} - Plaintext
+ */
+export function aesDecryptCBC(key, data, iv, padding = true) {
+  const aes = new AES(key);
+  const length = data.length - (data.length % 16);
+  const result = new Uint8Array(length);
+  
+  for (let offset = 0; offset < length; offset += 16) {
+    aes.decryptBlock(data, offset, result, offset);
+    // XOR with the previous ciphertext block (or the IV)
+    const prev = offset === 0 ? iv : data;
+    const prevOffset = offset === 0 ? 0 : offset - 16;
+    for (let i = 0; i < 16; i++) {
+      result[offset + i] ^= prev[prevOffset + i];
+    }
+  }
+  
+  return padding ? removePadding(result) : result;
+}
+
+/**
+ * Remove PKCS#5 padding, leaving invalid padding in place
+ */
+export function removePadding(bytes) {
+  const length = bytes.length;
+  if (length > 0) {
+    const padLength = bytes[length - 1];
+    if (padLength >= 1 && padLength <= 16 && bytes.subarray(length - padLength).every(b => b === padLength)) {
+      return bytes.slice(0, length - padLength);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Random bytes from crypto.getRandomValues
+ * Used for file IDs, keys and AES initialization vectors, so Math.random()
+ * is only used when the caller explicitly accepts it
+ * @param {number} length - Number of bytes
+ * @param {boolean} [allowInsecure=false] - Fall back to Math.random() without getRandomValues
+ * @throws {UnsupportedEnvironmentError} If no secure generator is available and allowInsecure is false
+ */
+export function randomBytes(length, allowInsecure = false) {
+  const bytes = new Uint8Array(length);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else if (allowInsecure) {
+    // Non-cryptographic fallback, only on request
+    for (let i = 0; i < length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  } else {
+    throw new UnsupportedEnvironmentError('No cryptographically secure random number generator (crypto.getRandomValues) is available; pass a crypto provider, or allowInsecureRandom: true to accept Math.random()');
+  }
+  return bytes;
 }
 
 /**
@@ -0,0 +1,276 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Crypto providers: where MD5, SHA, RC4, AES and random bytes come from.
+ * node:crypto or WebCrypto are used when the platform has them, the pure-JS
+ * code in crypto-minimal.js fills in whatever they lack (WebCrypto has no MD5
+ * or RC4, OpenSSL 3 has no RC4 by default), and callers can inject their own
+ * provider, e.g. one backed by a FIPS module.
+ * 
+ * Every provider method may return a value or a Promise; callers always await.
+ */
+
+import { InvalidOptionError } from './errors.js';
+import {
+  md5,
+  sha1,
+  sha256,
+  sha384,
+  sha512,
+  RC4,
+  aesEncryptCBC,
+  aesDecryptCBC,
+  removePadding,
+  randomBytes
+} from './crypto-minimal.js';
+
+// Operations a provider can implement
+const PROVIDER_METHODS = ['md5', 'sha1', 'sha256', 'sha384', 'sha512', 'rc4', 'aesEncryptCBC', 'aesDecryptCBC', 'randomBytes'];
+
+// A block of PKCS#5 padding on its own
+const FULL_PADDING_BLOCK = new Uint8Array(16).fill(16);
+
+// Auto-detected provider (a Promise, detection runs once) and the one set with setCryptoProvider
+let detectedProvider = null;
+let defaultProvider = null;
+
+/**
+ * The pure-JS provider from crypto-minimal.js
+ * randomBytes is added by resolveCryptoProvider, which knows whether Math.random() is acceptable
+ */
+function pureJSProvider() {
+  return {
+    name: 'pure-js',
+    md5,
+    sha1,
+    sha256,
+    sha384,
+    sha512,
+    rc4: (key, data) => new RC4(key).process(data),
+    aesEncryptCBC,
+    aesDecryptCBC
+  };
+}
+
+/**
+ * View a Node.js Buffer as a plain Uint8Array
+ */
+function toUint8Array(buffer) {
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+/**
+ * Run data through a node:crypto Cipher or Decipher
+ */
+function runCipher(cipher, data) {
+  const head = cipher.update(data);
+  const tail = cipher.final();
+  const result = new Uint8Array(head.length + tail.length);
+  result.set(head);
+  result.set(tail, head.length);
+  return result;
+}
+
+/**
+ * Provider backed by node:crypto (OpenSSL)
+ * RC4 is only included when OpenSSL still offers it
+ * @param {Object} nodeCrypto - The node:crypto module
+ */
+export function createNodeCryptoProvider(nodeCrypto) {
+  const hash = (algorithm) => (data) => toUint8Array(nodeCrypto.createHash(algorithm).update(data).digest());
+  
+  const provider = {
+    name: 'node:crypto',
+    md5: hash('md5'),
+    sha1: hash('sha1'),
+    sha256: hash('sha256'),
+    sha384: hash('sha384'),
+    sha512: hash('sha512'),
+    aesEncryptCBC(key, data, iv, padding = true) {
+      if (!padding && data.length % 16 !== 0) {
+        throw new Error('Data must be a multiple of 16 bytes when padding is disabled');
+      }
+      const cipher = nodeCrypto.createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+      cipher.setAutoPadding(padding);
+      return runCipher(cipher, data);
+    },
+    aesDecryptCBC(key, data, iv, padding = true) {
+      // Padding is removed leniently, like the pure-JS code, instead of letting OpenSSL throw
+      const decipher = nodeCrypto.createDecipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+      decipher.setAutoPadding(false);
+      const result = runCipher(decipher, data.subarray(0, data.length - (data.length % 16)));
+      return padding ? removePadding(result) : result;
+    },
+    randomBytes: (length) => toUint8Array(nodeCrypto.randomBytes(length))
+  };
+  
+  // OpenSSL 3 moved RC4 to the legacy provider, which Node.js does not load by default
+  try {
+    nodeCrypto.createCipheriv('rc4', new Uint8Array(5), null);
+    provider.rc4 = (key, data) => runCipher(nodeCrypto.createCipheriv('rc4', key, null), data);
+  } catch (error) {
+    // Pure-JS RC4 fills in
+  }
+  
+  return provider;
+}
+
+/**
+ * Provider backed by WebCrypto (crypto.subtle)
+ * Covers SHA and AES; MD5 and RC4 stay in pure JS
+ * @param {Crypto} webCrypto - A WebCrypto implementation, usually globalThis.crypto
+ */
+export function createWebCryptoProvider(webCrypto) {
+  const subtle = webCrypto.subtle;
+  const digest = (algorithm) => async (data) => new Uint8Array(await subtle.digest(algorithm, data));
+  const importKey = (key) => subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt', 'decrypt']);
+  
+  return {
+    name: 'webcrypto',
+    sha1: digest('SHA-1'),
+    sha256: digest('SHA-256'),
+    sha384: digest('SHA-384'),
+    sha512: digest('SHA-512'),
+    async aesEncryptCBC(key, data, iv, padding = true) {
+      if (!padding && data.length % 16 !== 0) {
+        throw new Error('Data must be a multiple of 16 bytes when padding is disabled');
+      }
+      const result = new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv }, await importKey(key), data));
+      // WebCrypto always pads; block-aligned input gets a whole padding block to drop
+      return padding ? result : result.slice(0, data.length);
+    },
+    async aesDecryptCBC(key, data, iv, padding = true) {
+      const length = data.length - (data.length % 16);
+      if (length === 0) return new Uint8Array(0);
+      const cryptoKey = await importKey(key);
+      
+      // WebCrypto rejects bad padding, so append a block that decrypts to a whole
+      // padding block: E(last ciphertext block XOR padding), computed as one CBC block
+      const lastBlock = data.subarray(length - 16, length);
+      const extra = new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv: lastBlock }, cryptoKey, FULL_PADDING_BLOCK));
+      const ciphertext = new Uint8Array(length + 16);
+      ciphertext.set(data.subarray(0, length));
+      ciphertext.set(extra.subarray(0, 16), length);
+      
+      const result = new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, ciphertext));
+      return padding ? removePadding(result) : result;
+    },
+    randomBytes: (length) => webCrypto.getRandomValues(new Uint8Array(length))
+  };
+}
+
+/**
+ * Load node:crypto when running on Node.js
+ * The specifier is a variable so browser bundlers don't try to resolve it
+ */
+async function loadNodeCrypto() {
+  const proc = globalThis.process;
+  if (!proc || !proc.versions || !proc.versions.node) return null;
+  
+  try {
+    if (typeof proc.getBuiltinModule === 'function') {
+      return proc.getBuiltinModule('node:crypto');
+    }
+    const specifier = 'node:crypto';
+    return await import(specifier);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detect the fastest available provider: node:crypto, then WebCrypto, then pure JS
+ * Runs once; later calls share the result
+ */
+function detectCryptoProvider() {
+  if (!detectedProvider) {
+    detectedProvider = (async () => {
+      const nodeCrypto = await loadNodeCrypto();
+      if (nodeCrypto && typeof nodeCrypto.createHash === 'function') {
+        return createNodeCryptoProvider(nodeCrypto);
+      }
+      if (globalThis.crypto && globalThis.crypto.subtle) {
+        return createWebCryptoProvider(globalThis.crypto);
+      }
+      return pureJSProvider();
+    })();
+  }
+  return detectedProvider;
+}
+
+/**
+ * Check that a provider only has known operations, and that they are functions
+ * @throws {InvalidOptionError} If the provider is malformed
+ */
+export function validateCryptoProvider(provider) {
+  if (!provider || typeof provider !== 'object') {
+    throw new InvalidOptionError('crypto provider must be an object');
+  }
+  for (const [name, value] of Object.entries(provider)) {
+    if (name === 'name') continue;
+    if (!PROVIDER_METHODS.includes(name)) {
+      throw new InvalidOptionError(`Unknown crypto provider method: ${name} (expected ${PROVIDER_METHODS.join(', ')})`);
+    }
+    if (typeof value !== 'function') {
+      throw new InvalidOptionError(`crypto provider method ${name} must be a function`);
+    }
+  }
+}
+
+/**
+ * Set the crypto provider used when a call doesn't pass one
+ * Pass null to go back to auto-detection (node:crypto, WebCrypto, pure JS)
+ * @param {Object|null} provider - Object with any of md5, sha1, sha256, sha384, sha512,
+ *   rc4(key, data), aesEncryptCBC(key, data, iv, padding), aesDecryptCBC(key, data, iv, padding)
+ *   and randomBytes(length); missing operations fall back to pure JS
+ */
+export function setCryptoProvider(provider) {
+  if (provider !== null) {
+    validateCryptoProvider(provider);
+  }
+  defaultProvider = provider;
+}
+
+/**
+ * Build the complete provider for one call
+ * Operations the chosen provider lacks come from crypto-minimal.js
+ * @param {Object|null} [provider] - Provider passed to this call
+ * @param {boolean} [allowInsecureRandom=false] - Accept Math.random() when nothing better exists
+ * @param {Function|null} [random] - (length) => Uint8Array that replaces the provider's randomBytes,
+ *   e.g. a seeded generator for reproducible output
+ * @returns {Promise<Object>} - Provider with every operation
+ */
+export async function resolveCryptoProvider(provider = null, allowInsecureRandom = false, random = null) {
+  if (provider) {
+    validateCryptoProvider(provider);
+  }
+  const base = provider || defaultProvider || await detectCryptoProvider();
+  const resolved = {
+    ...pureJSProvider(),
+    name: base.name || 'custom',
+    randomBytes: (length) => randomBytes(length, allowInsecureRandom)
+  };
+  
+  for (const method of PROVIDER_METHODS) {
+    if (typeof base[method] === 'function') {
+      resolved[method] = (...args) => base[method](...args);
+    }
+  }
+  
+  if (random) {
+    resolved.randomBytes = async (length) => {
+      const bytes = await random(length);
+      if (!(bytes instanceof Uint8Array) || bytes.length !== length) {
+        throw new InvalidOptionError(`random(${length}) must return a Uint8Array of ${length} bytes`);
+      }
+      return bytes;
+    };
+  }
+  
+  return resolved;
+}
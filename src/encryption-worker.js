@@ -0,0 +1,94 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Script run by each worker of an encryption pool (see worker-pool.js), as a
+ * Web Worker or a worker_thread. It receives a PDF and its options, runs
+ * encryptPDF, and posts back progress, warnings and finally the encrypted
+ * file or the error. Loaded anywhere else, it does nothing.
+ */
+
+import { encryptPDF } from './pdf-encrypt.js';
+import { toPDFEncryptError, SignedDocumentError } from './errors.js';
+import { loadWorkerThreads } from './worker-pool.js';
+
+// AbortControllers of the jobs in progress, by job id
+const runningJobs = new Map();
+
+/**
+ * Reduce an error to plain data that survives postMessage
+ * (structured clone drops the class and custom fields of errors)
+ */
+function serializeError(error) {
+  const data = { name: error.name, message: error.message, code: error.code };
+  if (error instanceof SignedDocumentError) {
+    data.signatureCount = error.signatureCount;
+  }
+  if (error.cause !== undefined && error.cause !== null) {
+    data.cause = { name: error.cause.name || 'Error', message: String(error.cause.message || error.cause) };
+  }
+  return data;
+}
+
+/**
+ * Encrypt one PDF and post back the result or the error
+ * The result is always an ArrayBuffer, transferred, plus the report when asked for;
+ * the pool converts it to the output type
+ */
+async function runJob(post, { id, bytes, options, progress }) {
+  const controller = new AbortController();
+  runningJobs.set(id, controller);
+  try {
+    const result = await encryptPDF(bytes, {
+      ...options,
+      onProgress: progress ? (state) => post({ type: 'progress', id, progress: state }) : null,
+      onWarning: (warning) => post({ type: 'warning', id, warning }),
+      signal: controller.signal,
+      output: 'arraybuffer'
+    });
+    const { bytes: encrypted, report } = options.report ? result : { bytes: result };
+    post({ type: 'done', id, result: encrypted, report }, [encrypted]);
+  } catch (error) {
+    const failure = toPDFEncryptError(error, 'Failed to encrypt PDF', controller.signal);
+    post({ type: 'error', id, error: serializeError(failure) });
+  } finally {
+    runningJobs.delete(id);
+  }
+}
+
+/**
+ * Handle a message from the pool: a PDF to encrypt, or a job to cancel
+ */
+function handleMessage(post, message) {
+  if (message.type === 'encrypt') {
+    runJob(post, message);
+  } else if (message.type === 'abort') {
+    const controller = runningJobs.get(message.id);
+    if (controller) controller.abort();
+  }
+}
+
+/**
+ * Start listening to the thread that created this worker
+ */
+async function connect() {
+  const workerThreads = await loadWorkerThreads();
+  if (workerThreads) {
+    const port = workerThreads.parentPort;
+    if (!port) return;
+    const post = (message, transfer) => port.postMessage(message, transfer);
+    port.on('message', (message) => handleMessage(post, message));
+    return;
+  }
+  
+  if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const post = (message, transfer) => self.postMessage(message, transfer);
+    self.addEventListener('message', (event) => handleMessage(post, event.data));
+  }
+}
+
+connect();
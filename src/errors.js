@@ -0,0 +1,153 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Error classes thrown by pdf-encrypt-lite
+ * Each carries a stable `code` so callers don't have to match on messages,
+ * and the error that caused it (if any) as `cause`
+ */
+
+/**
+ * Base class of every error the library throws
+ * Also used on its own for unexpected internal failures (code 'INTERNAL_ERROR')
+ */
+export class PDFEncryptError extends Error {
+  constructor(message, code = 'INTERNAL_ERROR', options = {}) {
+    super(message);
+    this.name = 'PDFEncryptError';
+    this.code = code;
+    // Set explicitly: older runtimes ignore the options argument of Error
+    if (options.cause !== undefined) this.cause = options.cause;
+  }
+}
+
+/**
+ * Thrown when the input can't be parsed as a PDF
+ */
+export class InvalidPDFError extends PDFEncryptError {
+  constructor(message = 'Input is not a valid PDF', options = {}) {
+    super(message, 'INVALID_PDF', options);
+    this.name = 'InvalidPDFError';
+  }
+}
+
+/**
+ * Thrown for malformed options or arguments: unknown option names, wrong types,
+ * passwords the algorithm can't encode, unusable certificates
+ */
+export class InvalidOptionError extends PDFEncryptError {
+  constructor(message, options = {}) {
+    super(message, 'INVALID_OPTION', options);
+    this.name = 'InvalidOptionError';
+  }
+}
+
+/**
+ * Thrown by encryptPDF when the input already has an /Encrypt dictionary
+ * Encrypting it again would produce a file no reader can open;
+ * use changePassword to re-key it instead
+ */
+export class AlreadyEncryptedError extends PDFEncryptError {
+  constructor(message = 'PDF is already encrypted - use changePassword to re-encrypt it') {
+    super(message, 'ALREADY_ENCRYPTED');
+    this.name = 'AlreadyEncryptedError';
+  }
+}
+
+/**
+ * Thrown when decrypting, checking or wrapping a PDF that isn't encrypted
+ */
+export class NotEncryptedError extends PDFEncryptError {
+  constructor(message = 'PDF is not encrypted') {
+    super(message, 'NOT_ENCRYPTED');
+    this.name = 'NotEncryptedError';
+  }
+}
+
+/**
+ * Thrown when neither the user nor the owner password matches
+ */
+export class WrongPasswordError extends PDFEncryptError {
+  constructor(message = 'Incorrect password') {
+    super(message, 'WRONG_PASSWORD');
+    this.name = 'WrongPasswordError';
+  }
+}
+
+/**
+ * Thrown for an encrypted PDF whose security handler or revision isn't supported
+ */
+export class UnsupportedEncryptionError extends PDFEncryptError {
+  constructor(message) {
+    super(message, 'UNSUPPORTED_ENCRYPTION');
+    this.name = 'UnsupportedEncryptionError';
+  }
+}
+
+/**
+ * Thrown when the runtime lacks something the operation needs, such as a secure
+ * random number generator; pass a crypto provider or run somewhere that has it
+ */
+export class UnsupportedEnvironmentError extends PDFEncryptError {
+  constructor(message) {
+    super(message, 'UNSUPPORTED_ENVIRONMENT');
+    this.name = 'UnsupportedEnvironmentError';
+  }
+}
+
+/**
+ * Thrown by encryptPDF with onSignedDocument: 'error' when the input is digitally signed
+ * Saving the document changes its bytes, which invalidates every existing signature
+ */
+export class SignedDocumentError extends PDFEncryptError {
+  constructor(signatureCount = 1) {
+    super(`PDF has ${signatureCount} digital signature(s) that encryption would invalidate`, 'SIGNED_DOCUMENT');
+    this.name = 'SignedDocumentError';
+    this.signatureCount = signatureCount;
+  }
+}
+
+/**
+ * Whether an error came from cancelling the operation
+ * Such errors are rethrown unchanged, so callers can tell a cancel from a failure
+ */
+export function isAbortError(error, signal = null) {
+  if (signal && signal.aborted && error === signal.reason) return true;
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * The error a public function should throw for a failure
+ * Library errors and cancellations pass through; anything else (a pdf-lib or
+ * runtime error) becomes an internal PDFEncryptError with the original as cause
+ * @param {*} error - What was caught
+ * @param {string} message - What failed, e.g. 'Failed to encrypt PDF'
+ * @param {AbortSignal|null} [signal] - The operation's signal, whose reason passes through
+ */
+export function toPDFEncryptError(error, message, signal = null) {
+  if (error instanceof PDFEncryptError || isAbortError(error, signal)) {
+    return error;
+  }
+  const detail = error && error.message !== undefined ? error.message : String(error);
+  return new PDFEncryptError(`${message}: ${detail}`, 'INTERNAL_ERROR', { cause: error });
+}
+
+/**
+ * Report a non-fatal issue
+ * Goes to the onWarning callback when there is one, to console.warn otherwise
+ * @param {Function|null} onWarning - The caller's onWarning option
+ * @param {string} code - Stable warning code, e.g. 'SIGNATURES_INVALIDATED'
+ * @param {string} message - Human-readable description
+ * @param {Object} [details] - Extra fields for the warning object
+ */
+export function emitWarning(onWarning, code, message, details = {}) {
+  if (onWarning) {
+    onWarning({ code, message, ...details });
+  } else {
+    console.warn(`pdf-encrypt-lite: ${message}`);
+  }
+}
@@ -14,7 +14,7 @@
  * - Everyone said it was impossible... we proved them wrong!
  * 
  * Features:
- * - Real RC4 128-bit encryption
+ * - Real RC4 128-bit, AES-128 and AES-256 encryption
  * - Only ~7KB total size
  * - Works in browsers and edge environments
  * - PDF Standard compliant
@@ -31,15 +31,39 @@
  * // With separate owner password
  * const encryptedPdf = await encryptPDF(pdfBytes, 'user123', 'owner456');
  * 
+ * // AES-256 instead of RC4
+ * const aesPdf = await encryptPDF(pdfBytes, 'user123', 'owner456', { algorithm: 'aes-256' });
+ * 
+ * // Remove protection with the user or owner password
+ * const plainPdf = await decryptPDF(aesPdf, 'owner456');
+ * 
  * @see https://pdfsmaller.com - Free PDF tools powered by this library
  * @see https://github.com/pdfsmaller/pdf-encrypt-lite - GitHub repo
  */
 
 // Export the main encryption function
-export { encryptPDF } from './pdf-encrypt.js';
+export { encryptPDF, encryptPDFDocument } from './pdf-encrypt.js';
+
+// Export public-key (certificate) encryption
+export { encryptPDFForRecipients } from './pubsec.js';
+
+// Export the PDF 2.0 unencrypted wrapper
+export { wrapEncryptedPDF } from './wrapper.js';
+
+// Export off-main-thread encryption (Web Workers / worker_threads)
+export { createEncryptionWorker, encryptPDFInWorker } from './worker-pool.js';
+
+// Export the decryption and inspection functions
+export { decryptPDF, changePassword, getEncryptionInfo, checkPassword } from './pdf-decrypt.js';
+
+// Export error classes
+export { PDFEncryptError, InvalidPDFError, InvalidOptionError, AlreadyEncryptedError, NotEncryptedError, WrongPasswordError, UnsupportedEncryptionError, UnsupportedEnvironmentError, SignedDocumentError } from './errors.js';
+
+// Export crypto provider selection
+export { setCryptoProvider, createNodeCryptoProvider, createWebCryptoProvider } from './crypto-provider.js';
 
 // Export crypto utilities if needed for advanced use
-export { md5, RC4, hexToBytes, bytesToHex } from './crypto-minimal.js';
+export { md5, MD5, sha1, sha256, sha384, sha512, RC4, AES, aesEncryptCBC, aesDecryptCBC, hexToBytes, bytesToHex } from './crypto-minimal.js';
 
 // Version info
 export const VERSION = '1.0.0';
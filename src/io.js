@@ -0,0 +1,185 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Input and output formats. Browsers hand us a File or Blob, fetch() a Response,
+ * Workers and Node.js a ReadableStream or Buffer; all of them become one
+ * Uint8Array before parsing, and the encrypted bytes go back out as whatever
+ * the caller asked for.
+ */
+
+import { InvalidOptionError } from './errors.js';
+
+// What encryptPDF can return
+export const OUTPUT_TYPES = ['uint8array', 'blob', 'arraybuffer', 'stream', 'base64'];
+
+// Bytes per btoa() call; a multiple of 3, so the pieces join without padding in between
+const BASE64_CHUNK_SIZE = 3 * 16 * 1024;
+
+// Bytes per chunk when a finished file is handed out as a stream
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Join byte chunks into one Uint8Array
+ */
+function joinChunks(chunks, length) {
+  if (chunks.length === 1) return chunks[0];
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * View a chunk read from a stream as a Uint8Array
+ */
+function chunkBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  throw new InvalidOptionError('PDF input stream must produce bytes, not text');
+}
+
+/**
+ * Read a ReadableStream or async iterable (e.g. a Node.js Readable) to the end
+ */
+async function readChunks(source) {
+  const chunks = [];
+  let length = 0;
+  
+  if (typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const bytes = chunkBytes(value);
+        chunks.push(bytes);
+        length += bytes.length;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    for await (const value of source) {
+      const bytes = chunkBytes(value);
+      chunks.push(bytes);
+      length += bytes.length;
+    }
+  }
+  
+  return joinChunks(chunks, length);
+}
+
+/**
+ * Turn any supported PDF input into a Uint8Array
+ * Accepts Uint8Array (including Node.js Buffer), ArrayBuffer, other typed arrays and
+ * DataView, Blob and File, Response, ReadableStream and async iterables of bytes
+ * @returns {Promise<Uint8Array>} - A plain Uint8Array; shares memory with the input where it can
+ * @throws {InvalidOptionError} If the input is none of these
+ */
+export async function readPDFInput(input) {
+  if (input instanceof Uint8Array) {
+    // Buffer and other subclasses become a plain view of the same memory
+    return input.constructor === Uint8Array ? input : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  }
+  if (input instanceof ArrayBuffer || Object.prototype.toString.call(input) === '[object ArrayBuffer]') {
+    return new Uint8Array(input);
+  }
+  if (ArrayBuffer.isView(input)) {
+    return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  }
+  
+  if (input && typeof input === 'object') {
+    // Response: its body can only be read once
+    if (input.bodyUsed === true) {
+      throw new InvalidOptionError('PDF input Response body has already been read');
+    }
+    // Blob, File and Response
+    if (typeof input.arrayBuffer === 'function') {
+      return new Uint8Array(await input.arrayBuffer());
+    }
+    if (typeof input.getReader === 'function' || typeof input[Symbol.asyncIterator] === 'function') {
+      return readChunks(input);
+    }
+  }
+  
+  throw new InvalidOptionError('PDF input must be a Uint8Array, Buffer, ArrayBuffer, Blob, File, Response or ReadableStream');
+}
+
+/**
+ * Check that the runtime can produce an output type
+ * @throws {InvalidOptionError} If the type is unknown or needs a missing global
+ */
+export function validateOutputType(output) {
+  if (!OUTPUT_TYPES.includes(output)) {
+    throw new InvalidOptionError(`Invalid output: ${output} (expected ${OUTPUT_TYPES.join(', ')})`);
+  }
+  if (output === 'stream' && typeof ReadableStream === 'undefined') {
+    throw new InvalidOptionError('output \'stream\' needs ReadableStream (browsers, Workers, Deno, Node.js 18+)');
+  }
+  if (output === 'blob' && typeof Blob === 'undefined') {
+    throw new InvalidOptionError('output \'blob\' needs Blob (browsers, Workers, Deno, Node.js 18+)');
+  }
+  if (output === 'base64' && typeof btoa === 'undefined') {
+    throw new InvalidOptionError('output \'base64\' needs btoa (browsers, Workers, Deno, Node.js 16+)');
+  }
+}
+
+/**
+ * Encode bytes as base64, a chunk at a time so large files don't build one huge binary string
+ */
+export function bytesToBase64(bytes) {
+  const parts = [];
+  for (let offset = 0; offset < bytes.length; offset += BASE64_CHUNK_SIZE) {
+    const chunk = bytes.subarray(offset, offset + BASE64_CHUNK_SIZE);
+    parts.push(btoa(String.fromCharCode.apply(null, chunk)));
+  }
+  return parts.join('');
+}
+
+/**
+ * Hand out bytes that are already complete as a ReadableStream, a chunk per read
+ */
+function bytesToStream(bytes) {
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      controller.enqueue(bytes.subarray(offset, offset + STREAM_CHUNK_SIZE));
+      offset += STREAM_CHUNK_SIZE;
+      if (offset >= bytes.length) controller.close();
+    }
+  });
+}
+
+/**
+ * Convert the encrypted file to the requested output type
+ * encryptPDF produces 'stream' while writing; only a file that arrives complete
+ * (e.g. from a worker) is turned into a stream here
+ * @param {Uint8Array} bytes - The encrypted PDF
+ * @param {'uint8array'|'blob'|'arraybuffer'|'stream'|'base64'} output - What the caller asked for
+ * @returns {Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>}
+ */
+export function convertOutput(bytes, output) {
+  switch (output) {
+    case 'blob':
+      return new Blob([bytes], { type: 'application/pdf' });
+    case 'arraybuffer':
+      return bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+        ? bytes.buffer
+        : bytes.slice().buffer;
+    case 'base64':
+      return bytesToBase64(bytes);
+    case 'stream':
+      return bytesToStream(bytes);
+    default:
+      return bytes;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Undo log for changes made to a pdf-lib document while encrypting it.
+ * encryptPDF works on a document it parsed itself and throws it away, but
+ * encryptPDFDocument works on the caller's PDFDocument: every change goes
+ * through a ChangeJournal so the document can be put back exactly as it was,
+ * whether encryption fails halfway or the encrypted file has been written.
+ */
+
+/**
+ * Applies changes and, when recording, remembers how to undo them
+ * A journal that doesn't record just applies changes, without keeping the
+ * old values (and their memory) alive
+ */
+export class ChangeJournal {
+  constructor(recording = true) {
+    this.recording = recording;
+    this.undoSteps = [];
+  }
+  
+  record(undo) {
+    if (this.recording) this.undoSteps.push(undo);
+  }
+  
+  /**
+   * Set a property of a plain object (trailer info, stream contents)
+   */
+  setProperty(target, name, value) {
+    const had = Object.prototype.hasOwnProperty.call(target, name);
+    const old = target[name];
+    if (had && old === value) return;
+    this.record(() => {
+      if (had) target[name] = old;
+      else delete target[name];
+    });
+    target[name] = value;
+  }
+  
+  /**
+   * Set a PDFDict entry or a PDFArray element
+   */
+  set(container, key, value) {
+    const old = container.get(key);
+    if (old === value) return;
+    this.record(() => {
+      if (old === undefined) container.delete(key);
+      else container.set(key, old);
+    });
+    container.set(key, value);
+  }
+  
+  /**
+   * Delete a PDFDict entry
+   * Undoing rebuilds the dictionary so the entry is back in its original place
+   */
+  delete(dict, key) {
+    if (dict.get(key) === undefined) return;
+    const entries = dict.entries();
+    this.record(() => {
+      for (const [name] of dict.entries()) dict.delete(name);
+      for (const [name, value] of entries) dict.set(name, value);
+    });
+    dict.delete(key);
+  }
+  
+  /**
+   * Replace an indirect object
+   */
+  assign(context, ref, object) {
+    const old = context.lookup(ref);
+    this.record(() => context.assign(ref, old));
+    context.assign(ref, object);
+  }
+  
+  /**
+   * Remove an indirect object
+   */
+  deleteObject(context, ref) {
+    const old = context.lookup(ref);
+    this.record(() => context.assign(ref, old));
+    context.delete(ref);
+  }
+  
+  /**
+   * Add a new indirect object
+   * @returns {PDFRef} - Its reference
+   */
+  register(context, object) {
+    const largestObjectNumber = context.largestObjectNumber;
+    const ref = context.register(object);
+    this.record(() => {
+      context.delete(ref);
+      context.largestObjectNumber = largestObjectNumber;
+    });
+    return ref;
+  }
+  
+  /**
+   * Undo every recorded change, newest first
+   * Safe to call more than once
+   */
+  rollback() {
+    while (this.undoSteps.length > 0) {
+      this.undoSteps.pop()();
+    }
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Object streams (/Type /ObjStm) and cross-reference streams (/Type /XRef)
+ * in encrypted files. pdf-lib does not know about encryption here:
+ * - its writer packs objects into object streams at save time, after the
+ *   objects themselves have been encrypted, so the container streams would be
+ *   written in the clear
+ * - its parser unpacks object streams while reading, before the /Encrypt
+ *   dictionary is known, so it tries to inflate encrypted data
+ * 
+ * The spec (7.6.2) says objects inside an object stream are encrypted only as
+ * part of the container stream, and cross-reference streams are never encrypted.
+ */
+
+import {
+  PDFName,
+  PDFNumber,
+  PDFRef,
+  PDFRawStream,
+  PDFStream,
+  PDFInvalidObject,
+  PDFHeader,
+  PDFTrailer,
+  PDFParser,
+  PDFWriter,
+  PDFStreamWriter,
+  PDFObjectStream,
+  PDFObjectStreamParser,
+  PDFXRefStreamParser,
+  PDFCrossRefStream
+} from 'pdf-lib';
+import { ProgressReporter, waitForTick } from './progress.js';
+
+// Objects pdf-lib writes per event loop tick, same as PDFDocument.save()
+const OBJECTS_PER_TICK = 50;
+
+// Target size of the chunks streamEncrypted emits
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+// "endobj" as char codes, for PDFParser.matchKeyword
+const ENDOBJ = [0x65, 0x6E, 0x64, 0x6F, 0x62, 0x6A];
+
+/**
+ * Check the /Type of a stream
+ */
+export function isStreamOfType(obj, type) {
+  return obj instanceof PDFRawStream && obj.dict.lookup(PDFName.of('Type')) === PDFName.of(type);
+}
+
+/**
+ * Whether an object goes into an object stream when saving with object streams
+ * Same rule as pdf-lib's PDFStreamWriter: streams, the /Encrypt dictionary and
+ * objects with a non-zero generation stay at the top level
+ */
+export function isCompressible(context, ref, obj) {
+  return ref !== context.trailerInfo.Encrypt &&
+    !(obj instanceof PDFStream) &&
+    !(obj instanceof PDFInvalidObject) &&
+    ref.generationNumber === 0;
+}
+
+/**
+ * PDFStreamWriter that encrypts each object stream it builds
+ * isPacked(ref, obj) decides which objects go into object streams; it must
+ * agree with the objects the caller left unencrypted.
+ * The cross-reference stream is left in the clear
+ * A report collector, when given, hears of every packed object and of the
+ * cross-reference stream, which only exist once the writer has made them
+ */
+export class EncryptedStreamWriter extends PDFStreamWriter {
+  constructor(context, objectsPerTick, encryptStream, isPacked, collector = null) {
+    super(context, objectsPerTick, true, 50);
+    this.encryptStream = encryptStream;
+    this.isPacked = isPacked;
+    this.collector = collector;
+  }
+  
+  async computeBufferSize() {
+    let objectNumber = this.context.largestObjectNumber + 1;
+    
+    const header = PDFHeader.forVersion(1, 7);
+    let size = header.sizeInBytes() + 2;
+    
+    const xrefStream = PDFCrossRefStream.create(this.createTrailerDict(), this.encodeStreams);
+    
+    const uncompressedObjects = [];
+    const compressedObjects = [];
+    const objectStreamRefs = [];
+    
+    for (const indirectObject of this.context.enumerateIndirectObjects()) {
+      const [ref, obj] = indirectObject;
+      
+      if (!this.isPacked(ref, obj)) {
+        uncompressedObjects.push(indirectObject);
+        xrefStream.addUncompressedEntry(ref, size);
+        size += this.computeIndirectObjectSize(indirectObject);
+        if (this.shouldWaitForTick(1)) await waitForTick();
+      } else {
+        let chunk = compressedObjects[compressedObjects.length - 1];
+        let objectStreamRef = objectStreamRefs[objectStreamRefs.length - 1];
+        if (!chunk || chunk.length % this.objectsPerStream === 0) {
+          chunk = [];
+          compressedObjects.push(chunk);
+          objectStreamRef = PDFRef.of(objectNumber++);
+          objectStreamRefs.push(objectStreamRef);
+        }
+        xrefStream.addCompressedEntry(ref, objectStreamRef, chunk.length);
+        chunk.push(indirectObject);
+        if (this.collector) this.collector.countPacked(ref, obj);
+      }
+    }
+    
+    for (let i = 0; i < compressedObjects.length; i++) {
+      const ref = objectStreamRefs[i];
+      const objectStream = PDFObjectStream.withContextAndObjects(this.context, compressedObjects[i], this.encodeStreams);
+      
+      // The container is encrypted as a whole with its own object number
+      const contents = await this.encryptStream(objectStream.getContents(), ref.objectNumber, ref.generationNumber);
+      const encryptedStream = PDFRawStream.of(objectStream.dict, contents);
+      
+      xrefStream.addUncompressedEntry(ref, size);
+      size += this.computeIndirectObjectSize([ref, encryptedStream]);
+      uncompressedObjects.push([ref, encryptedStream]);
+      if (this.shouldWaitForTick(compressedObjects[i].length)) await waitForTick();
+    }
+    
+    const xrefStreamRef = PDFRef.of(objectNumber++);
+    if (this.collector) this.collector.skip(xrefStreamRef, 'xref-stream');
+    xrefStream.dict.set(PDFName.of('Size'), PDFNumber.of(objectNumber));
+    xrefStream.addUncompressedEntry(xrefStreamRef, size);
+    const xrefOffset = size;
+    size += this.computeIndirectObjectSize([xrefStreamRef, xrefStream]);
+    uncompressedObjects.push([xrefStreamRef, xrefStream]);
+    
+    const trailer = PDFTrailer.forLastCrossRefSectionOffset(xrefOffset);
+    size += trailer.sizeInBytes();
+    
+    return { size, header, indirectObjects: uncompressedObjects, trailer };
+  }
+}
+
+/**
+ * Writer for an already encrypted context
+ * With isPacked, objects go into object streams that encryptStream encrypts;
+ * without it, a classic xref table is written
+ */
+function createEncryptedWriter(context, encryptStream, isPacked, collector = null) {
+  return isPacked
+    ? new EncryptedStreamWriter(context, OBJECTS_PER_TICK, encryptStream, isPacked, collector)
+    : PDFWriter.forContext(context, OBJECTS_PER_TICK);
+}
+
+/**
+ * Copy a string of ASCII characters into a buffer
+ */
+function copyASCII(text, buffer, offset) {
+  for (let i = 0; i < text.length; i++) {
+    buffer[offset + i] = text.charCodeAt(i);
+  }
+  return text.length;
+}
+
+/**
+ * Lay out what a writer produces as parts: the header, one part per indirect
+ * object, then the xref section and trailer. Each part knows its size and
+ * writes itself, so the same layout can fill one buffer or a stream of chunks.
+ * The output is byte for byte what writer.serializeToBuffer() returns
+ */
+async function layoutParts(writer) {
+  const { header, indirectObjects, xref, trailerDict, trailer } = await writer.computeBufferSize();
+  
+  const parts = [{
+    size: header.sizeInBytes() + 2,
+    objects: 0,
+    copyBytesInto: (buffer, offset) => header.copyBytesInto(buffer, offset) + copyASCII('\n\n', buffer, offset + header.sizeInBytes())
+  }];
+  
+  for (const [ref, object] of indirectObjects) {
+    parts.push({
+      size: writer.computeIndirectObjectSize([ref, object]),
+      objects: 1,
+      copyBytesInto(buffer, start) {
+        let offset = start + copyASCII(`${ref.objectNumber} ${ref.generationNumber} obj\n`, buffer, start);
+        offset += object.copyBytesInto(buffer, offset);
+        offset += copyASCII('\nendobj\n\n', buffer, offset);
+        return offset - start;
+      }
+    });
+  }
+  
+  // Classic files end with an xref table and trailer dictionary, stream files only with startxref
+  const tail = [];
+  if (xref) tail.push([xref, '\n']);
+  if (trailerDict) tail.push([trailerDict, '\n\n']);
+  tail.push([trailer, '']);
+  parts.push({
+    size: tail.reduce((sum, [item, suffix]) => sum + item.sizeInBytes() + suffix.length, 0),
+    objects: 0,
+    copyBytesInto(buffer, start) {
+      let offset = start;
+      for (const [item, suffix] of tail) {
+        offset += item.copyBytesInto(buffer, offset);
+        offset += copyASCII(suffix, buffer, offset);
+      }
+      return offset - start;
+    }
+  });
+  
+  return parts;
+}
+
+/**
+ * Number of indirect objects in a layout
+ */
+function countObjects(parts) {
+  return parts.reduce((sum, part) => sum + part.objects, 0);
+}
+
+/**
+ * Serialize a context whose objects are already encrypted
+ * With isPacked, those objects go into object streams and
+ * encryptStream(data, objectNum, generationNum), which may be async, is applied
+ * to every object stream the writer creates. Without it, a classic xref table is written
+ * @param {ProgressReporter} [progress] - Receives the 'save' phase; its signal cancels the save
+ * @param {ReportCollector|null} [collector] - Told about packed objects and the xref stream
+ * @returns {Promise<Uint8Array>} - The whole file
+ */
+export async function serializeEncrypted(context, encryptStream, isPacked = null, progress = new ProgressReporter(), collector = null) {
+  progress.start('save');
+  const parts = await layoutParts(createEncryptedWriter(context, encryptStream, isPacked, collector));
+  progress.objectsTotal = countObjects(parts);
+  
+  const buffer = new Uint8Array(parts.reduce((sum, part) => sum + part.size, 0));
+  let offset = 0;
+  for (const part of parts) {
+    offset += part.copyBytesInto(buffer, offset);
+    await progress.advance(part.objects, part.size);
+  }
+  
+  progress.finish();
+  return buffer;
+}
+
+/**
+ * Like serializeEncrypted, but returns a ReadableStream that writes the file
+ * in chunks of about STREAM_CHUNK_SIZE bytes as they are read, instead of one
+ * buffer the size of the whole file
+ * Everything up to the layout (including object stream encryption) happens
+ * before the stream is returned, so those errors reject the returned promise
+ * @param {Function} [onClose] - Called once the stream has been read to the end,
+ *   has failed or was cancelled; the context must not change before then
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function streamEncrypted(context, encryptStream, isPacked = null, progress = new ProgressReporter(), onClose = null) {
+  progress.start('save');
+  const parts = await layoutParts(createEncryptedWriter(context, encryptStream, isPacked));
+  progress.objectsTotal = countObjects(parts);
+  let index = 0;
+  
+  const close = () => {
+    index = parts.length;
+    if (onClose) onClose();
+    onClose = null;
+  };
+  
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        if (index === parts.length) {
+          progress.finish();
+          close();
+          controller.close();
+          return;
+        }
+        
+        // Gather parts up to the chunk size; a part larger than that gets a chunk of its own
+        let size = 0;
+        let end = index;
+        while (end < parts.length && (size === 0 || size + parts[end].size <= STREAM_CHUNK_SIZE)) {
+          size += parts[end++].size;
+        }
+        
+        const chunk = new Uint8Array(size);
+        let offset = 0;
+        let objects = 0;
+        for (; index < end; index++) {
+          offset += parts[index].copyBytesInto(chunk, offset);
+          objects += parts[index].objects;
+        }
+        
+        controller.enqueue(chunk);
+        await progress.advance(objects, size);
+      } catch (error) {
+        close();
+        throw error;
+      }
+    },
+    cancel() {
+      close();
+    }
+  });
+}
+
+/**
+ * Serialize a plain (unencrypted) context, as PDFDocument.save() would
+ */
+export async function serializeContext(context, useObjectStreams = true) {
+  const writer = useObjectStreams
+    ? PDFStreamWriter.forContext(context, OBJECTS_PER_TICK)
+    : PDFWriter.forContext(context, OBJECTS_PER_TICK);
+  return writer.serializeToBuffer();
+}
+
+/**
+ * PDFParser that keeps object streams packed
+ * Their contents can only be parsed once the stream has been decrypted
+ */
+class PackedObjectStreamParser extends PDFParser {
+  async parseIndirectObject() {
+    const ref = this.parseIndirectObjectHeader();
+    this.skipWhitespaceAndComments();
+    const obj = this.parseObject();
+    this.skipWhitespaceAndComments();
+    this.matchKeyword(ENDOBJ);
+    
+    if (isStreamOfType(obj, 'XRef')) {
+      PDFXRefStreamParser.forStream(obj).parseIntoContext();
+    } else {
+      this.context.assign(ref, obj);
+    }
+    
+    return ref;
+  }
+}
+
+/**
+ * Parse a possibly encrypted PDF into a pdf-lib context
+ * Object streams stay in the context as raw streams; call unpackObjectStreams
+ * once they have been decrypted
+ */
+export async function parseEncryptedPDF(pdfBytes) {
+  const parser = new PackedObjectStreamParser(pdfBytes, Infinity, false, false);
+  return parser.parseDocument();
+}
+
+/**
+ * Move the objects of every (decrypted) object stream into the context
+ * and drop the object streams themselves
+ */
+export async function unpackObjectStreams(context) {
+  const objectStreams = context.enumerateIndirectObjects()
+    .filter(([, obj]) => isStreamOfType(obj, 'ObjStm'));
+  
+  for (const [ref, stream] of objectStreams) {
+    context.delete(ref);
+    await PDFObjectStreamParser.forStream(stream).parseIntoContext();
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Password normalization. Readers turn the typed password into bytes
+ * differently per revision, and so must we:
+ * - revisions 2-4 (RC4, AES-128) use PDFDocEncoding
+ * - revision 6 (AES-256) uses SASLprep (RFC 4013) and UTF-8
+ */
+
+import { InvalidOptionError } from './errors.js';
+
+// PDFDocEncoding bytes whose code point differs from Latin-1 (PDF 2.0, Annex D.3)
+const PDF_DOC_ENCODING = new Map([
+  [0x02D8, 0x18], [0x02C7, 0x19], [0x02C6, 0x1A], [0x02D9, 0x1B],
+  [0x02DD, 0x1C], [0x02DB, 0x1D], [0x02DA, 0x1E], [0x02DC, 0x1F],
+  [0x2022, 0x80], [0x2020, 0x81], [0x2021, 0x82], [0x2026, 0x83],
+  [0x2014, 0x84], [0x2013, 0x85], [0x0192, 0x86], [0x2044, 0x87],
+  [0x2039, 0x88], [0x203A, 0x89], [0x2212, 0x8A], [0x2030, 0x8B],
+  [0x201E, 0x8C], [0x201C, 0x8D], [0x201D, 0x8E], [0x2018, 0x8F],
+  [0x2019, 0x90], [0x201A, 0x91], [0x2122, 0x92], [0xFB01, 0x93],
+  [0xFB02, 0x94], [0x0141, 0x95], [0x0152, 0x96], [0x0160, 0x97],
+  [0x0178, 0x98], [0x017D, 0x99], [0x0131, 0x9A], [0x0142, 0x9B],
+  [0x0153, 0x9C], [0x0161, 0x9D], [0x017E, 0x9E], [0x20AC, 0xA0]
+]);
+
+// RFC 3454 C.1.2 - non-ASCII space characters, mapped to SPACE
+const NON_ASCII_SPACE = /[\u00A0\u1680\u2000-\u200B\u202F\u205F\u3000]/g;
+
+// RFC 3454 B.1 - characters commonly mapped to nothing
+const MAPPED_TO_NOTHING = /[\u00AD\u034F\u1806\u180B-\u180D\u200B-\u200D\u2060\uFE00-\uFE0F\uFEFF]/g;
+
+// RFC 3454 C.1.2, C.2, C.3, C.4, C.5, C.6, C.7, C.8 and C.9 - prohibited output
+const PROHIBITED = /[\u0000-\u001F\u007F-\u00A0\u0340\u0341\u06DD\u070F\u1680\u180E\u2000-\u200F\u2028-\u202F\u205F-\u2063\u206A-\u206F\u2FF0-\u2FFB\u3000\uE000-\uF8FF\uFEFF\uFFF9-\uFFFD\u{1D173}-\u{1D17A}\u{E0001}\u{E0020}-\u{E007F}\u{F0000}-\u{FFFFD}\u{100000}-\u{10FFFD}\p{Noncharacter_Code_Point}\p{Cs}]/u;
+
+// RFC 3454 D.1 - characters with bidirectional property R or AL
+const RAND_AL_CAT = /[\u05BE\u05C0\u05C3\u05D0-\u05EA\u05F0-\u05F4\u061B\u061F\u0621-\u063A\u0640-\u064A\u066D-\u066F\u0671-\u06D5\u06DD\u06E5-\u06E6\u06FA-\u06FE\u0700-\u070D\u0710\u0712-\u072C\u0780-\u07A5\u07B1\u200F\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40-\uFB41\uFB43-\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFC\uFE70-\uFE74\uFE76-\uFEFC]/;
+
+// RFC 3454 D.2 (bidirectional property L) is thousands of ranges; letters and
+// spacing marks outside D.1 cover it for any realistic password
+const L_CAT = /[\p{L}\p{Mc}]/u;
+
+/**
+ * Format a code point as U+XXXX for error messages
+ */
+function codePointName(ch) {
+  return 'U+' + ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Encode a password in PDFDocEncoding (revisions 2-4)
+ * The password is NFC-normalized first so composed accents are representable
+ * @throws {InvalidOptionError} If a character has no PDFDocEncoding byte
+ */
+export function encodePDFDocEncoding(password) {
+  const bytes = [];
+  
+  for (const ch of password.normalize('NFC')) {
+    const code = ch.codePointAt(0);
+    let byte = PDF_DOC_ENCODING.get(code);
+    
+    if (byte === undefined && (
+      code === 0x09 || code === 0x0A || code === 0x0D ||
+      (code >= 0x20 && code <= 0x7E) ||
+      (code >= 0xA1 && code <= 0xFF && code !== 0xAD)
+    )) {
+      byte = code;
+    }
+    
+    if (byte === undefined) {
+      throw new InvalidOptionError(`Password character "${ch}" (${codePointName(ch)}) cannot be represented in PDFDocEncoding; use aes-256 for Unicode passwords`);
+    }
+    bytes.push(byte);
+  }
+  
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Prepare a password with SASLprep (RFC 4013) for revision 6
+ * Unassigned code points are allowed, as for stringprep queries
+ * @throws {InvalidOptionError} If the password contains prohibited characters or fails the bidi rule
+ */
+export function saslprep(password) {
+  const mapped = password
+    .replace(NON_ASCII_SPACE, ' ')
+    .replace(MAPPED_TO_NOTHING, '')
+    .normalize('NFKC');
+  
+  const chars = Array.from(mapped);
+  
+  for (const ch of chars) {
+    if (PROHIBITED.test(ch)) {
+      throw new InvalidOptionError(`Password contains a prohibited character (${codePointName(ch)})`);
+    }
+  }
+  
+  // Right-to-left passwords must not mix in left-to-right text, and must start and end RTL
+  if (chars.some((ch) => RAND_AL_CAT.test(ch))) {
+    const hasLCat = chars.some((ch) => L_CAT.test(ch) && !RAND_AL_CAT.test(ch));
+    if (hasLCat || !RAND_AL_CAT.test(chars[0]) || !RAND_AL_CAT.test(chars[chars.length - 1])) {
+      throw new InvalidOptionError('Password mixes right-to-left and left-to-right text');
+    }
+  }
+  
+  return mapped;
+}
@@ -0,0 +1,578 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * This module reverses the PDF Standard Security Handler: it authenticates
+ * a user or owner password, recovers the file key and strips encryption
+ * from every stream and string. Covers revisions 2, 3, 4 and 6.
+ * 
+ * It also hosts the read-only inspection API (getEncryptionInfo, checkPassword)
+ * and changePassword, which decrypts and re-encrypts in one call.
+ */
+
+import { PDFName, PDFHexString, PDFString, PDFDict, PDFArray, PDFRawStream, PDFNumber, PDFBool, PDFRef } from 'pdf-lib';
+import { InvalidPDFError, NotEncryptedError, WrongPasswordError, UnsupportedEncryptionError, toPDFEncryptError } from './errors.js';
+import { readPDFInput } from './io.js';
+import { bytesToHex } from './crypto-minimal.js';
+import { resolveCryptoProvider } from './crypto-provider.js';
+import { encodePDFDocEncoding } from './password.js';
+import { isStreamOfType, parseEncryptedPDF, unpackObjectStreams, serializeContext } from './object-streams.js';
+import { encryptPDF, findEmbeddedFiles, isSignatureDict, computeEncryptionKey, computeOwnerRC4Key, computeUserKey, computeHashR6, preparePasswordR6, computeObjectKey, decodePermissions } from './pdf-encrypt.js';
+
+/**
+ * Compare two byte arrays
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Read the first element of the trailer /ID array as bytes
+ * After parsing, trailer.ID is a pdf-lib PDFArray rather than a JS array
+ */
+function readFileId(context) {
+  const idArray = context.lookupMaybe(context.trailerInfo.ID, PDFArray);
+  const first = idArray && idArray.size() > 0 ? idArray.lookup(0) : undefined;
+  if (first instanceof PDFHexString || first instanceof PDFString) {
+    return first.asBytes();
+  }
+  return new Uint8Array(0);
+}
+
+/**
+ * Read a string entry of the /Encrypt dictionary as bytes
+ */
+function readBytes(dict, name) {
+  const value = dict.lookup(PDFName.of(name));
+  return value instanceof PDFHexString || value instanceof PDFString ? value.asBytes() : new Uint8Array(0);
+}
+
+/**
+ * Read a numeric entry of the /Encrypt dictionary
+ */
+function readNumber(dict, name, defaultValue) {
+  const value = dict.lookup(PDFName.of(name));
+  return value instanceof PDFNumber ? value.asNumber() : defaultValue;
+}
+
+/**
+ * Resolve the crypt filter method (/CFM) used for streams or strings
+ * Version 1-3 handlers always use RC4; version 4+ name a filter in /CF
+ */
+function resolveCryptFilter(encryptDict, V, entryName) {
+  if (V < 4) return 'V2';
+  
+  const filterName = encryptDict.lookup(PDFName.of(entryName));
+  const name = filterName instanceof PDFName ? filterName.decodeText() : 'Identity';
+  if (name === 'Identity') return 'None';
+  
+  const cf = encryptDict.lookup(PDFName.of('CF'));
+  const filter = cf instanceof PDFDict ? cf.lookup(PDFName.of(name)) : undefined;
+  const cfm = filter instanceof PDFDict ? filter.lookup(PDFName.of('CFM')) : undefined;
+  return cfm instanceof PDFName ? cfm.decodeText() : 'None';
+}
+
+/**
+ * Resolve the crypt filter method for embedded files (/EFF defaults to /StmF)
+ */
+function resolveEmbeddedFileFilter(encryptDict, V) {
+  const entryName = encryptDict.has(PDFName.of('EFF')) ? 'EFF' : 'StmF';
+  return resolveCryptFilter(encryptDict, V, entryName);
+}
+
+/**
+ * Read /EncryptMetadata, which only version 4+ handlers honor (default true)
+ * Public-key handlers keep it in the stream crypt filter instead
+ */
+function readEncryptMetadata(encryptDict, V) {
+  let value = encryptDict.lookup(PDFName.of('EncryptMetadata'));
+  if (value === undefined && V >= 4) {
+    const cf = encryptDict.lookup(PDFName.of('CF'));
+    const filterName = encryptDict.lookup(PDFName.of('StmF'));
+    const filter = cf instanceof PDFDict && filterName instanceof PDFName ? cf.lookup(filterName) : undefined;
+    value = filter instanceof PDFDict ? filter.lookup(PDFName.of('EncryptMetadata')) : undefined;
+  }
+  return V < 4 || !(value instanceof PDFBool) || value.asBoolean();
+}
+
+/**
+ * Read the Standard Security Handler parameters from an /Encrypt dictionary
+ * PDFSmaller.com's implementation
+ * @throws {UnsupportedEncryptionError} For other handlers and unknown revisions
+ */
+export function readSecurityHandler(encryptDict) {
+  const filter = encryptDict.lookup(PDFName.of('Filter'));
+  if (!(filter instanceof PDFName) || filter.decodeText() !== 'Standard') {
+    throw new UnsupportedEncryptionError(`Unsupported security handler: ${filter ? filter.decodeText() : 'none'}`);
+  }
+  
+  const V = readNumber(encryptDict, 'V', 0);
+  const R = readNumber(encryptDict, 'R', 0);
+  if (R !== 2 && R !== 3 && R !== 4 && R !== 6) {
+    throw new UnsupportedEncryptionError(`Unsupported security handler revision: ${R}`);
+  }
+  
+  // Key length in bytes: /Length is in bits for V2/V3, AES fixes it for V4/V5
+  let keyLength = readNumber(encryptDict, 'Length', 40) / 8;
+  if (V === 4) keyLength = 16;
+  if (V === 5) keyLength = 32;
+  
+  return {
+    V,
+    R,
+    keyLength,
+    permissions: readNumber(encryptDict, 'P', 0) | 0,
+    ownerKey: readBytes(encryptDict, 'O'),
+    userKey: readBytes(encryptDict, 'U'),
+    ownerEncryptionKey: readBytes(encryptDict, 'OE'),
+    userEncryptionKey: readBytes(encryptDict, 'UE'),
+    stmF: resolveCryptFilter(encryptDict, V, 'StmF'),
+    strF: resolveCryptFilter(encryptDict, V, 'StrF'),
+    eff: resolveEmbeddedFileFilter(encryptDict, V),
+    encryptMetadata: readEncryptMetadata(encryptDict, V)
+  };
+}
+
+/**
+ * Try a password as the user password (Algorithm 6)
+ * Returns the file key, or null if the password is wrong
+ */
+async function authenticateUserPassword(provider, handler, password, fileId) {
+  if (handler.R === 6) {
+    const pwd = preparePasswordR6(password);
+    const { userKey } = handler;
+    if (!bytesEqual(await computeHashR6(provider, pwd, userKey.slice(32, 40)), userKey.slice(0, 32))) {
+      return null;
+    }
+    const keyHash = await computeHashR6(provider, pwd, userKey.slice(40, 48));
+    return provider.aesDecryptCBC(keyHash, handler.userEncryptionKey, new Uint8Array(16), false);
+  }
+  
+  const encryptionKey = await computeEncryptionKey(provider, password, handler.ownerKey, handler.permissions, fileId, handler.keyLength, handler.encryptMetadata, handler.R);
+  
+  // Revision 3+ only compares the first 16 bytes of U, revision 2 all 32
+  const compared = handler.R === 2 ? 32 : 16;
+  const userKey = await computeUserKey(provider, encryptionKey, fileId, handler.R);
+  return bytesEqual(userKey.slice(0, compared), handler.userKey.slice(0, compared)) ? encryptionKey : null;
+}
+
+/**
+ * Try a password as the owner password (Algorithm 7)
+ * Returns the file key, or null if the password is wrong
+ */
+async function authenticateOwnerPassword(provider, handler, password, fileId) {
+  if (handler.R === 6) {
+    const pwd = preparePasswordR6(password);
+    const { ownerKey } = handler;
+    const userKey = handler.userKey.slice(0, 48);
+    if (!bytesEqual(await computeHashR6(provider, pwd, ownerKey.slice(32, 40), userKey), ownerKey.slice(0, 32))) {
+      return null;
+    }
+    const keyHash = await computeHashR6(provider, pwd, ownerKey.slice(40, 48), userKey);
+    return provider.aesDecryptCBC(keyHash, handler.ownerEncryptionKey, new Uint8Array(16), false);
+  }
+  
+  // Unwrap the user password from /O, undoing the RC4 passes in reverse (one for revision 2)
+  const ownerRC4Key = await computeOwnerRC4Key(provider, password, handler.keyLength, handler.R);
+  let userPassword = handler.ownerKey.slice(0, 32);
+  for (let i = handler.R === 2 ? 0 : 19; i >= 0; i--) {
+    const key = new Uint8Array(ownerRC4Key.length);
+    for (let j = 0; j < ownerRC4Key.length; j++) {
+      key[j] = ownerRC4Key[j] ^ i;
+    }
+    userPassword = await provider.rc4(key, userPassword);
+  }
+  
+  return authenticateUserPassword(provider, handler, userPassword, fileId);
+}
+
+/**
+ * Byte encodings to try for a typed password
+ * The spec encoding comes first (PDFDocEncoding, or SASLprep for revision 6).
+ * Earlier releases used plain UTF-8 for every revision, so files they produced
+ * with non-ASCII passwords are still accepted
+ */
+function passwordCandidates(handler, password) {
+  if (typeof password !== 'string') return { candidates: [password], encodingError: null };
+  
+  const candidates = [];
+  let encodingError = null;
+  try {
+    candidates.push(handler.R === 6 ? preparePasswordR6(password) : encodePDFDocEncoding(password));
+  } catch (error) {
+    encodingError = error;
+  }
+  
+  // Truncating to 127 bytes is harmless for revisions 2-4, which only use 32
+  const utf8 = preparePasswordR6(new TextEncoder().encode(password));
+  if (!candidates.some((candidate) => bytesEqual(candidate, utf8))) {
+    candidates.push(utf8);
+  }
+  
+  return { candidates, encodingError };
+}
+
+/**
+ * Authenticate a password against a security handler
+ * The owner password is tried first, so a password that is both reports 'owner'
+ * @returns {{ encryptionKey: Uint8Array, role: 'owner'|'user' } | null}
+ * @throws {InvalidOptionError} If the password cannot be encoded for this handler and no fallback matches
+ */
+export async function authenticatePassword(provider, handler, password, fileId) {
+  const { candidates, encodingError } = passwordCandidates(handler, password);
+  
+  for (const candidate of candidates) {
+    const ownerKey = await authenticateOwnerPassword(provider, handler, candidate, fileId);
+    if (ownerKey) {
+      return { encryptionKey: ownerKey, role: 'owner' };
+    }
+    
+    const userKey = await authenticateUserPassword(provider, handler, candidate, fileId);
+    if (userKey) {
+      return { encryptionKey: userKey, role: 'user' };
+    }
+  }
+  
+  if (encodingError) {
+    throw encodingError;
+  }
+  return null;
+}
+
+/**
+ * Decrypt data for a specific object (reverses encryptObject)
+ * PDFSmaller.com's implementation
+ */
+export async function decryptObject(provider, data, objectNum, generationNum, encryptionKey, cfm = 'V2') {
+  if (cfm === 'None') return data;
+  
+  const objectKey = await computeObjectKey(provider, objectNum, generationNum, encryptionKey, cfm);
+  
+  if (cfm === 'AESV2' || cfm === 'AESV3') {
+    // The first 16 bytes are the IV
+    if (data.length < 16) return new Uint8Array(0);
+    return provider.aesDecryptCBC(objectKey, data.subarray(16), data.subarray(0, 16));
+  }
+  
+  return provider.rc4(objectKey, data);
+}
+
+/**
+ * Recursively decrypt strings in a PDF object (reverses encryptStringsInObject)
+ * PDFSmaller.com's implementation
+ */
+async function decryptStringsInObject(provider, obj, objectNum, generationNum, encryptionKey, cfm) {
+  if (!obj) return obj;
+  
+  if (obj instanceof PDFString || obj instanceof PDFHexString) {
+    const decrypted = await decryptObject(provider, obj.asBytes(), objectNum, generationNum, encryptionKey, cfm);
+    return PDFHexString.of(bytesToHex(decrypted));
+  } else if (obj instanceof PDFRawStream) {
+    await decryptStringsInObject(provider, obj.dict, objectNum, generationNum, encryptionKey, cfm);
+  } else if (obj instanceof PDFDict) {
+    // Signature /Contents is never encrypted
+    const isSignature = isSignatureDict(obj);
+    for (const [key, value] of obj.entries()) {
+      const keyName = key.asString();
+      if (isSignature && keyName === '/Contents') continue;
+      if (keyName !== '/Length' && keyName !== '/Filter' && keyName !== '/DecodeParms') {
+        obj.set(key, await decryptStringsInObject(provider, value, objectNum, generationNum, encryptionKey, cfm));
+      }
+    }
+  } else if (obj instanceof PDFArray) {
+    for (let i = 0; i < obj.size(); i++) {
+      obj.set(i, await decryptStringsInObject(provider, obj.get(i), objectNum, generationNum, encryptionKey, cfm));
+    }
+  }
+  
+  return obj;
+}
+
+/**
+ * Parse a PDF and locate its /Encrypt dictionary
+ * encryptDict is null when the document is not encrypted.
+ * Object streams are left packed (see unpackObjectStreams)
+ * @throws {InvalidOptionError} If the input is not a supported type
+ * @throws {InvalidPDFError} If the input can't be parsed
+ */
+async function loadEncryptedPDF(pdfInput) {
+  const pdfBytes = await readPDFInput(pdfInput);
+  let context;
+  try {
+    context = await parseEncryptedPDF(pdfBytes);
+  } catch (error) {
+    throw new InvalidPDFError(`Invalid PDF: ${error.message}`, { cause: error });
+  }
+  const encrypt = context.trailerInfo.Encrypt;
+  
+  return {
+    context,
+    encryptRef: encrypt instanceof PDFRef ? encrypt : null,
+    encryptDict: encrypt ? context.lookup(encrypt, PDFDict) : null
+  };
+}
+
+/**
+ * Report how a PDF is encrypted, without needing a password
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfBytes - The PDF file
+ *   (anything encryptPDF accepts)
+ * @returns {Promise<Object>} - { encrypted: false } or the handler details:
+ *   filter, subFilter, V, R, keyLength (bits), cryptFilters ({ streams, strings, embeddedFiles }),
+ *   permissions (decoded /P), permissionFlags (raw /P) and encryptMetadata
+ * @throws {InvalidPDFError} If pdfBytes can't be parsed as a PDF
+ * 
+ * @example
+ * const info = await getEncryptionInfo(pdfBytes);
+ * if (info.encrypted && !info.permissions.print) {
+ *   console.log('Printing is restricted');
+ * }
+ */
+export async function getEncryptionInfo(pdfBytes) {
+  try {
+    const { encryptDict } = await loadEncryptedPDF(pdfBytes);
+    
+    if (!encryptDict) {
+      return { encrypted: false };
+    }
+    
+    const filter = encryptDict.lookup(PDFName.of('Filter'));
+    const subFilter = encryptDict.lookup(PDFName.of('SubFilter'));
+    const V = readNumber(encryptDict, 'V', 0);
+    const P = encryptDict.lookup(PDFName.of('P'));
+    
+    let keyLength = readNumber(encryptDict, 'Length', 40);
+    if (V === 4) keyLength = 128;
+    if (V === 5) keyLength = 256;
+    
+    return {
+      encrypted: true,
+      filter: filter instanceof PDFName ? filter.decodeText() : null,
+      subFilter: subFilter instanceof PDFName ? subFilter.decodeText() : null,
+      V,
+      R: readNumber(encryptDict, 'R', null),
+      keyLength,
+      cryptFilters: {
+        streams: resolveCryptFilter(encryptDict, V, 'StmF'),
+        strings: resolveCryptFilter(encryptDict, V, 'StrF'),
+        embeddedFiles: resolveEmbeddedFileFilter(encryptDict, V)
+      },
+      permissions: P instanceof PDFNumber ? decodePermissions(P.asNumber() | 0) : null,
+      permissionFlags: P instanceof PDFNumber ? P.asNumber() | 0 : null,
+      encryptMetadata: readEncryptMetadata(encryptDict, V)
+    };
+    
+  } catch (error) {
+    throw toPDFEncryptError(error, 'Failed to inspect PDF');
+  }
+}
+
+/**
+ * Check which password a PDF accepts, without changing it
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfBytes - The encrypted PDF file
+ *   (anything encryptPDF accepts)
+ * @param {string} password - Password to test
+ * @returns {Promise<'owner'|'user'|null>} - The role the password grants, or null if it is wrong
+ * @throws {NotEncryptedError} If the PDF isn't encrypted
+ * @throws {UnsupportedEncryptionError} If it uses another security handler, e.g. certificates
+ * 
+ * @example
+ * const role = await checkPassword(pdfBytes, input.value);
+ * if (!role) showError('Wrong password');
+ */
+export async function checkPassword(pdfBytes, password) {
+  try {
+    const { context, encryptDict } = await loadEncryptedPDF(pdfBytes);
+    
+    if (!encryptDict) {
+      throw new NotEncryptedError();
+    }
+    
+    const handler = readSecurityHandler(encryptDict);
+    const provider = await resolveCryptoProvider();
+    const auth = await authenticatePassword(provider, handler, password || '', readFileId(context));
+    return auth ? auth.role : null;
+    
+  } catch (error) {
+    throw toPDFEncryptError(error, 'Failed to check PDF password');
+  }
+}
+
+/**
+ * Load an encrypted PDF and decrypt every object in place
+ * Returns the pdf-lib context (no longer encrypted), the original handler and
+ * whether the file packed objects into object streams
+ */
+async function decryptDocument(provider, pdfBytes, password) {
+  // Load the PDF
+  const { context, encryptRef, encryptDict } = await loadEncryptedPDF(pdfBytes);
+  const trailer = context.trailerInfo;
+  
+  if (!encryptDict) {
+    throw new NotEncryptedError();
+  }
+  
+  const handler = readSecurityHandler(encryptDict);
+  const fileId = readFileId(context);
+  
+  // Recover the file key from the user or owner password
+  const auth = await authenticatePassword(provider, handler, password || '', fileId);
+  if (!auth) {
+    throw new WrongPasswordError();
+  }
+  const { encryptionKey } = auth;
+  
+  const encrypted = context.enumerateIndirectObjects().filter(([ref]) => ref !== encryptRef);
+  const hasObjectStreams = encrypted.some(([, obj]) => isStreamOfType(obj, 'ObjStm'));
+  
+  // Object streams first: objects inside them were encrypted only as part of
+  // their container, and are needed to tell which streams are embedded files
+  for (const [ref, obj] of encrypted) {
+    if (isStreamOfType(obj, 'ObjStm')) {
+      obj.contents = await decryptObject(provider, obj.contents, ref.objectNumber, ref.generationNumber || 0, encryptionKey, handler.stmF);
+    }
+  }
+  await unpackObjectStreams(context);
+  const embeddedFiles = findEmbeddedFiles(context);
+  
+  // Decrypt all other objects
+  for (const [ref, obj] of encrypted) {
+    // Skip object streams and anything an object stream replaced
+    if (isStreamOfType(obj, 'ObjStm') || context.lookup(ref) !== obj) continue;
+    
+    const objectNum = ref.objectNumber;
+    const generationNum = ref.generationNumber || 0;
+    
+    // Cross-reference streams are never encrypted
+    if (isStreamOfType(obj, 'XRef')) continue;
+    
+    // Neither is XMP metadata when /EncryptMetadata is false
+    if (!handler.encryptMetadata && isStreamOfType(obj, 'Metadata')) continue;
+    
+    // Decrypt streams (embedded files may use their own crypt filter)
+    if (obj instanceof PDFRawStream) {
+      const cfm = embeddedFiles.has(ref) ? handler.eff : handler.stmF;
+      obj.contents = await decryptObject(provider, obj.contents, objectNum, generationNum, encryptionKey, cfm);
+    }
+    
+    // Decrypt strings in the object
+    if (handler.strF === 'None') continue;
+    const decryptedObj = await decryptStringsInObject(provider, obj, objectNum, generationNum, encryptionKey, handler.strF);
+    if (decryptedObj !== obj) {
+      context.assign(ref, decryptedObj);
+    }
+  }
+  
+  // Remove the /Encrypt dictionary
+  delete trailer.Encrypt;
+  if (encryptRef) {
+    context.delete(encryptRef);
+  }
+  
+  return { context, handler, hasObjectStreams };
+}
+
+/**
+ * Decrypt a password-protected PDF
+ * 
+ * Accepts either the user or the owner password and returns
+ * the document with encryption removed. A file with object streams is
+ * written with object streams again, any other with a classic xref table.
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfBytes - The encrypted PDF file
+ *   (anything encryptPDF accepts)
+ * @param {string} password - User or owner password
+ * @returns {Promise<Uint8Array>} - The decrypted PDF bytes
+ * @throws {InvalidPDFError} If pdfBytes can't be parsed as a PDF
+ * @throws {NotEncryptedError} If the PDF isn't encrypted
+ * @throws {WrongPasswordError} If the password is neither the user nor the owner password
+ * @throws {UnsupportedEncryptionError} If it uses another security handler, e.g. certificates
+ * 
+ * @example
+ * const plainPdf = await decryptPDF(encryptedBytes, 'secret123');
+ */
+export async function decryptPDF(pdfBytes, password) {
+  try {
+    const provider = await resolveCryptoProvider();
+    const { context, hasObjectStreams } = await decryptDocument(provider, pdfBytes, password);
+    return await serializeContext(context, hasObjectStreams);
+    
+  } catch (error) {
+    throw toPDFEncryptError(error, 'Failed to decrypt PDF');
+  }
+}
+
+/**
+ * Name of the encryptPDF algorithm matching an existing handler
+ */
+function algorithmOf(handler) {
+  if (handler.R === 2) return 'rc4-40';
+  if (handler.R === 6) return 'aes-256';
+  if (handler.stmF === 'AESV2' || handler.eff === 'AESV2') return 'aes-128';
+  return 'rc4-128';
+}
+
+/**
+ * encryptTarget matching an existing handler
+ */
+function encryptTargetOf(handler) {
+  return handler.stmF === 'None' && handler.eff !== 'None' ? 'embeddedFilesOnly' : 'all';
+}
+
+/**
+ * Re-encrypt a protected PDF with new credentials
+ * 
+ * Decrypts with the old user or owner password, then encrypts again with the
+ * new passwords. Algorithm, permissions, encryptMetadata and encryptTarget default to the
+ * ones the file had.
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfBytes - The encrypted PDF file
+ *   (anything encryptPDF accepts)
+ * @param {string} oldPassword - Current user or owner password
+ * @param {Object} newOptions - New encryption settings
+ * @param {string} newOptions.userPassword - New password required to open the PDF
+ * @param {string} [newOptions.ownerPassword] - New owner password
+ * @param {'rc4-40'|'rc4-128'|'aes-128'|'aes-256'} [newOptions.algorithm] - Defaults to the current
+ *   algorithm; a 40-bit file needs allowWeak: true to stay 40-bit
+ * @param {Object} [newOptions.permissions] - Defaults to the current permissions
+ * @param {Object} [newOptions.crypto] - Crypto provider, used for decrypting too
+ *   (any other encryptPDF option works too, e.g. output or report)
+ * @returns {Promise<Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>|Object>} - The
+ *   re-encrypted PDF, or { bytes, report }
+ * @throws {WrongPasswordError} If oldPassword is wrong; other errors as in decryptPDF and encryptPDF
+ * 
+ * @example
+ * const rekeyed = await changePassword(pdfBytes, 'old-secret', {
+ *   userPassword: 'new-secret',
+ *   ownerPassword: 'new-owner',
+ *   algorithm: 'aes-256'
+ * });
+ */
+export async function changePassword(pdfBytes, oldPassword, newOptions = {}) {
+  let decryptedBytes, handler;
+  try {
+    let context;
+    const provider = await resolveCryptoProvider(newOptions.crypto || null);
+    ({ context, handler } = await decryptDocument(provider, pdfBytes, oldPassword));
+    decryptedBytes = await serializeContext(context, false);
+  } catch (error) {
+    throw toPDFEncryptError(error, 'Failed to change PDF password');
+  }
+  
+  return encryptPDF(decryptedBytes, {
+    algorithm: algorithmOf(handler),
+    permissions: decodePermissions(handler.permissions),
+    encryptMetadata: handler.encryptMetadata,
+    encryptTarget: encryptTargetOf(handler),
+    ...newOptions
+  });
+}
@@ -13,8 +13,16 @@
  * Battle-tested on thousands of PDFs at PDFSmaller.com
  */
 
-import { PDFDocument, PDFName, PDFHexString, PDFString, PDFDict, PDFArray, PDFRawStream, PDFNumber } from 'pdf-lib';
-import { md5, RC4, hexToBytes, bytesToHex } from './crypto-minimal.js';
+import { PDFDocument, PDFName, PDFHexString, PDFString, PDFDict, PDFArray, PDFStream, PDFRawStream, PDFNumber, PDFBool, PDFRef, decodePDFRawStream } from 'pdf-lib';
+import { AlreadyEncryptedError, SignedDocumentError, InvalidOptionError, InvalidPDFError, toPDFEncryptError, emitWarning } from './errors.js';
+import { isCompressible, isStreamOfType, parseEncryptedPDF, serializeEncrypted, streamEncrypted } from './object-streams.js';
+import { ProgressReporter, validateProgressOptions } from './progress.js';
+import { ChangeJournal } from './journal.js';
+import { ReportCollector } from './report.js';
+import { readPDFInput, validateOutputType, convertOutput } from './io.js';
+import { encodePDFDocEncoding, saslprep } from './password.js';
+import { resolveCryptoProvider, validateCryptoProvider } from './crypto-provider.js';
+import { bytesToHex } from './crypto-minimal.js';
 
 // Standard PDF padding string (from PDF specification)
 const PADDING = new Uint8Array([
@@ -24,12 +32,46 @@ const PADDING = new Uint8Array([
   0x2F, 0x0C, 0xA9, 0xFE, 0x64, 0x53, 0x69, 0x7A
 ]);
 
+// "sAlT" - appended to the object key input for AES (Algorithm 1, step b)
+const AES_SALT = new Uint8Array([0x73, 0x41, 0x6C, 0x54]);
+
+// Standard Security Handler parameters for each supported algorithm
+// cfm is the crypt filter method (/CFM) - V2 is RC4, AESV2 is AES-128, AESV3 is AES-256
+// pdf-lib always writes a PDF 1.7 header; pdfVersion is set in the catalog when newer
+// weak algorithms can be brute-forced and need allowWeak: true
+const ALGORITHMS = {
+  'rc4-40': { V: 1, R: 2, keyLength: 5, cfm: 'V2', weak: true },
+  'rc4-128': { V: 2, R: 3, keyLength: 16, cfm: 'V2' },
+  'aes-128': { V: 4, R: 4, keyLength: 16, cfm: 'AESV2' },
+  'aes-256': { V: 5, R: 6, keyLength: 32, cfm: 'AESV3', pdfVersion: '2.0' }
+};
+
+// User access permission bits of /P (bit positions are 1-based in the spec)
+const PERMISSION_BITS = {
+  print: 1 << 2,                    // Bit 3: print (low quality unless bit 12 is set)
+  modify: 1 << 3,                   // Bit 4: modify contents
+  copy: 1 << 4,                     // Bit 5: copy or extract text and graphics
+  annotate: 1 << 5,                 // Bit 6: add or modify annotations, fill forms
+  fillForms: 1 << 8,                // Bit 9: fill in existing form fields
+  extractForAccessibility: 1 << 9,  // Bit 10: extract for accessibility
+  assemble: 1 << 10,                // Bit 11: insert, rotate or delete pages
+  printHighRes: 1 << 11             // Bit 12: faithful (high quality) printing
+};
+
+// Bits 7-8 and 13-32 are reserved and must be 1, bits 1-2 must be 0 (revision 3+)
+const PERMISSION_RESERVED = 0xFFFFF0C0;
+
+// All-zero IV used for the R6 /UE, /OE and /Perms computations
+const ZERO_IV = new Uint8Array(16);
+
 /**
  * Pad or truncate password according to PDF spec
+ * Accepts a string (encoded as PDFDocEncoding, like Acrobat does) or raw
+ * password bytes (as recovered from /O when decrypting)
  * Part of PDFSmaller.com's encryption implementation
  */
-function padPassword(password) {
-  const pwdBytes = new TextEncoder().encode(password);
+export function padPassword(password) {
+  const pwdBytes = typeof password === 'string' ? encodePDFDocEncoding(password) : password;
   const padded = new Uint8Array(32);
   
   if (pwdBytes.length >= 32) {
@@ -42,12 +84,71 @@ function padPassword(password) {
   return padded;
 }
 
+/**
+ * Compute the /P value from a permissions object
+ * Anything not explicitly set to false is allowed
+ * PDFSmaller.com's implementation
+ * 
+ * @param {Object} [permissions] - Permission flags
+ * @param {'highRes'|'lowRes'|boolean} [permissions.print=true] - Printing ('lowRes' clears bit 12)
+ * @returns {number} - /P as a signed 32-bit integer
+ */
+export function computePermissions(permissions = {}) {
+  let p = PERMISSION_RESERVED;
+  
+  for (const [name, value] of Object.entries(permissions)) {
+    if (name === 'print') {
+      if (value !== true && value !== false && value !== 'highRes' && value !== 'lowRes') {
+        throw new InvalidOptionError(`Invalid print permission: ${value} (expected 'highRes', 'lowRes' or false)`);
+      }
+    } else if (!PERMISSION_BITS[name] || name === 'printHighRes') {
+      throw new InvalidOptionError(`Unknown permission: ${name}`);
+    } else if (typeof value !== 'boolean') {
+      throw new InvalidOptionError(`Permission ${name} must be true or false`);
+    }
+  }
+  
+  const print = permissions.print === undefined ? true : permissions.print;
+  if (print) {
+    p |= PERMISSION_BITS.print;
+    if (print !== 'lowRes') {
+      p |= PERMISSION_BITS.printHighRes;
+    }
+  }
+  
+  for (const name of ['modify', 'copy', 'annotate', 'fillForms', 'extractForAccessibility', 'assemble']) {
+    if (permissions[name] !== false) {
+      p |= PERMISSION_BITS[name];
+    }
+  }
+  
+  return p | 0;
+}
+
+/**
+ * Decode a /P value into a permissions object (inverse of computePermissions)
+ * PDFSmaller.com's implementation
+ */
+export function decodePermissions(p) {
+  const has = name => (p & PERMISSION_BITS[name]) !== 0;
+  return {
+    print: has('print') ? (has('printHighRes') ? 'highRes' : 'lowRes') : false,
+    modify: has('modify'),
+    copy: has('copy'),
+    annotate: has('annotate'),
+    fillForms: has('fillForms'),
+    extractForAccessibility: has('extractForAccessibility'),
+    assemble: has('assemble')
+  };
+}
+
 /**
  * Compute encryption key (Algorithm 2 from PDF spec)
- * For RC4 128-bit (Revision 3)
+ * For Revision 2 (40-bit keys), 3 and 4 (128-bit keys unless the file says otherwise)
+ * encryptMetadata is the /EncryptMetadata flag; only revision 4 handlers may clear it
  * PDFSmaller.com's implementation
  */
-function computeEncryptionKey(userPassword, ownerKey, permissions, fileId) {
+export async function computeEncryptionKey(provider, userPassword, ownerKey, permissions, fileId, keyLength = 16, encryptMetadata = true, revision = 3) {
   // Step 1: Pad the password
   const paddedPwd = padPassword(userPassword);
   
@@ -56,7 +157,8 @@ function computeEncryptionKey(userPassword, ownerKey, permissions, fileId) {
     paddedPwd.length + 
     ownerKey.length + 
     4 + // permissions
-    fileId.length
+    fileId.length +
+    (encryptMetadata ? 0 : 4)
   );
   
   let offset = 0;
@@ -73,68 +175,97 @@ function computeEncryptionKey(userPassword, ownerKey, permissions, fileId) {
   hashInput[offset++] = (permissions >> 24) & 0xFF;
   
   hashInput.set(fileId, offset);
+  offset += fileId.length;
+  
+  // Revision 4 with unencrypted metadata appends 0xFFFFFFFF before hashing
+  if (!encryptMetadata) {
+    hashInput.fill(0xFF, offset, offset + 4);
+  }
   
   // Step 5: Hash the result
-  let hash = md5(hashInput);
+  let hash = await provider.md5(hashInput);
   
-  // Step 6: For 128-bit keys (revision 3), do 50 additional iterations
-  for (let i = 0; i < 50; i++) {
-    hash = md5(hash.slice(0, 16)); // Use first 16 bytes (128 bits)
+  // Step 6: For revision 3 and 4, do 50 additional iterations
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      hash = await provider.md5(hash.slice(0, keyLength)); // Use first n bytes of the key
+    }
   }
   
-  // Return first 16 bytes for 128-bit encryption
-  return hash.slice(0, 16);
+  // Return first n bytes (16 for 128-bit encryption, 5 for revision 2)
+  return hash.slice(0, keyLength);
 }
 
 /**
- * Compute owner key (O entry)
+ * Compute the RC4 key that protects the O entry (Algorithm 3, steps a-d)
+ * Shared with decryption, where it unwraps the user password from /O
  * PDFSmaller.com's implementation
  */
-function computeOwnerKey(ownerPassword, userPassword) {
+export async function computeOwnerRC4Key(provider, ownerPassword, keyLength = 16, revision = 3) {
   // Step 1: Pad owner password
-  const paddedOwner = padPassword(ownerPassword || userPassword);
+  const paddedOwner = padPassword(ownerPassword);
   
   // Step 2: Hash it
-  let hash = md5(paddedOwner);
+  let hash = await provider.md5(paddedOwner);
   
-  // Step 3: For 128-bit (revision 3), hash 50 more times
-  for (let i = 0; i < 50; i++) {
-    hash = md5(hash);
+  // Step 3: For revision 3 and 4, hash 50 more times
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      hash = await provider.md5(hash.slice(0, keyLength));
+    }
   }
   
+  return hash.slice(0, keyLength);
+}
+
+/**
+ * Compute owner key (O entry)
+ * Revision 2 encrypts the padded user password once, revision 3 and 4 twenty times
+ * PDFSmaller.com's implementation
+ */
+export async function computeOwnerKey(provider, ownerPassword, userPassword, keyLength = 16, revision = 3) {
+  const ownerRC4Key = await computeOwnerRC4Key(provider, ownerPassword || userPassword, keyLength, revision);
+  
   // Step 4-7: Pad user password and encrypt it
   const paddedUser = padPassword(userPassword);
   let result = new Uint8Array(paddedUser);
   
+  if (revision === 2) {
+    return provider.rc4(ownerRC4Key, result);
+  }
+  
   // Encrypt with variations of the key
   for (let i = 0; i < 20; i++) {
-    const key = new Uint8Array(hash.length);
-    for (let j = 0; j < hash.length; j++) {
-      key[j] = hash[j] ^ i;
+    const key = new Uint8Array(ownerRC4Key.length);
+    for (let j = 0; j < ownerRC4Key.length; j++) {
+      key[j] = ownerRC4Key[j] ^ i;
     }
-    const rc4 = new RC4(key.slice(0, 16));
-    result = rc4.process(result);
+    result = await provider.rc4(key, result);
   }
   
   return result;
 }
 
 /**
- * Compute user key (U entry) for revision 3
+ * Compute user key (U entry) for revision 2 (Algorithm 4), 3 and 4 (Algorithm 5)
  * PDFSmaller.com's implementation
  */
-function computeUserKey(encryptionKey, fileId) {
+export async function computeUserKey(provider, encryptionKey, fileId, revision = 3) {
+  // Revision 2: the padding string encrypted with the file key, nothing more
+  if (revision === 2) {
+    return provider.rc4(encryptionKey, PADDING);
+  }
+  
   // Step 1: Create hash input
   const hashInput = new Uint8Array(PADDING.length + fileId.length);
   hashInput.set(PADDING);
   hashInput.set(fileId, PADDING.length);
   
   // Step 2: Hash it
-  const hash = md5(hashInput);
+  const hash = await provider.md5(hashInput);
   
   // Step 3: Encrypt hash with encryption key
-  const rc4 = new RC4(encryptionKey);
-  let result = rc4.process(hash);
+  let result = await provider.rc4(encryptionKey, hash);
   
   // Step 4: Do 19 more iterations with key variations
   for (let i = 1; i <= 19; i++) {
@@ -142,8 +273,7 @@ function computeUserKey(encryptionKey, fileId) {
     for (let j = 0; j < encryptionKey.length; j++) {
       key[j] = encryptionKey[j] ^ i;
     }
-    const rc4iter = new RC4(key);
-    result = rc4iter.process(result);
+    result = await provider.rc4(key, result);
   }
   
   // Step 5: Append 16 bytes of padding
@@ -155,12 +285,128 @@ function computeUserKey(encryptionKey, fileId) {
 }
 
 /**
- * Encrypt data for a specific object
+ * Prepare a password for revision 6 (SASLprep, UTF-8, at most 127 bytes)
+ * Raw bytes are only truncated
+ */
+export function preparePasswordR6(password) {
+  const pwdBytes = typeof password === 'string' ? new TextEncoder().encode(saslprep(password)) : password;
+  return pwdBytes.slice(0, 127);
+}
+
+/**
+ * Concatenate byte arrays
+ */
+export function concatBytes(...arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+  let offset = 0;
+  for (const a of arrays) {
+    result.set(a, offset);
+    offset += a.length;
+  }
+  return result;
+}
+
+/**
+ * Compute hash for revision 6 (Algorithm 2.B from PDF 2.0 spec)
+ * Iterated SHA-256/384/512 with AES-128-CBC between rounds
+ * PDFSmaller.com's implementation
+ */
+export async function computeHashR6(provider, password, salt, userKey = new Uint8Array(0)) {
+  let k = await provider.sha256(concatBytes(password, salt, userKey));
+  
+  for (let round = 0; ; round++) {
+    // Step a: K1 is 64 repetitions of password + K + user key
+    const sequence = concatBytes(password, k, userKey);
+    const k1 = new Uint8Array(sequence.length * 64);
+    for (let i = 0; i < 64; i++) {
+      k1.set(sequence, i * sequence.length);
+    }
+    
+    // Step b: Encrypt K1 with AES-128-CBC, key and IV taken from K
+    const e = await provider.aesEncryptCBC(k.slice(0, 16), k1, k.slice(16, 32), false);
+    
+    // Step c-d: The first 16 bytes of E mod 3 pick the next hash function
+    let sum = 0;
+    for (let i = 0; i < 16; i++) {
+      sum += e[i];
+    }
+    const mod = sum % 3;
+    k = await (mod === 0 ? provider.sha256(e) : mod === 1 ? provider.sha384(e) : provider.sha512(e));
+    
+    // Step e-f: At least 64 rounds, then stop once the last byte of E is small enough
+    if (round >= 63 && e[e.length - 1] <= round - 31) {
+      break;
+    }
+  }
+  
+  return k.slice(0, 32);
+}
+
+/**
+ * Compute user key (U and UE entries) for revision 6 (Algorithm 8)
+ * PDFSmaller.com's implementation
+ */
+async function computeUserKeyR6(provider, userPassword, fileKey) {
+  const password = preparePasswordR6(userPassword);
+  const validationSalt = await provider.randomBytes(8);
+  const keySalt = await provider.randomBytes(8);
+  
+  const userKey = concatBytes(await computeHashR6(provider, password, validationSalt), validationSalt, keySalt);
+  const userEncryptionKey = await provider.aesEncryptCBC(await computeHashR6(provider, password, keySalt), fileKey, ZERO_IV, false);
+  
+  return { userKey, userEncryptionKey };
+}
+
+/**
+ * Compute owner key (O and OE entries) for revision 6 (Algorithm 9)
+ * The owner hashes also cover the 48-byte U entry
+ * PDFSmaller.com's implementation
+ */
+async function computeOwnerKeyR6(provider, ownerPassword, fileKey, userKey) {
+  const password = preparePasswordR6(ownerPassword);
+  const validationSalt = await provider.randomBytes(8);
+  const keySalt = await provider.randomBytes(8);
+  
+  const ownerKey = concatBytes(await computeHashR6(provider, password, validationSalt, userKey), validationSalt, keySalt);
+  const ownerEncryptionKey = await provider.aesEncryptCBC(await computeHashR6(provider, password, keySalt, userKey), fileKey, ZERO_IV, false);
+  
+  return { ownerKey, ownerEncryptionKey };
+}
+
+/**
+ * Compute the /Perms entry for revision 6 (Algorithm 10)
+ * PDFSmaller.com's implementation
+ */
+async function computePermsR6(provider, permissions, fileKey, encryptMetadata = true) {
+  const perms = new Uint8Array(16);
+  
+  // Permissions (low-order byte first), extended with 0xFF to 64 bits
+  perms[0] = permissions & 0xFF;
+  perms[1] = (permissions >> 8) & 0xFF;
+  perms[2] = (permissions >> 16) & 0xFF;
+  perms[3] = (permissions >> 24) & 0xFF;
+  perms.fill(0xFF, 4, 8);
+  
+  perms[8] = encryptMetadata ? 0x54 : 0x46; // 'T' or 'F'
+  perms.set([0x61, 0x64, 0x62], 9);         // 'adb'
+  perms.set(await provider.randomBytes(4), 12);
+  
+  // A single block, so CBC with a zero IV is plain ECB
+  return provider.aesEncryptCBC(fileKey, perms, ZERO_IV, false);
+}
+
+/**
+ * Compute the object-specific key (Algorithm 1 from PDF spec)
+ * AES-256 uses the file key directly
  * PDFSmaller.com's implementation
  */
-function encryptObject(data, objectNum, generationNum, encryptionKey) {
-  // Create object-specific key
-  const keyInput = new Uint8Array(encryptionKey.length + 5);
+export async function computeObjectKey(provider, objectNum, generationNum, encryptionKey, cfm) {
+  if (cfm === 'AESV3') {
+    return encryptionKey;
+  }
+  
+  const isAES = cfm === 'AESV2';
+  const keyInput = new Uint8Array(encryptionKey.length + (isAES ? 9 : 5));
   keyInput.set(encryptionKey);
   
   // Add object number (low byte first)
@@ -172,173 +418,974 @@ function encryptObject(data, objectNum, generationNum, encryptionKey) {
   keyInput[encryptionKey.length + 3] = generationNum & 0xFF;
   keyInput[encryptionKey.length + 4] = (generationNum >> 8) & 0xFF;
   
-  // Hash to get object key
-  const objectKey = md5(keyInput);
+  // AES keys are salted with "sAlT"
+  if (isAES) {
+    keyInput.set(AES_SALT, encryptionKey.length + 5);
+  }
+  
+  // Hash and use up to 16 bytes of the hash as the key
+  const hash = await provider.md5(keyInput);
+  return hash.slice(0, Math.min(encryptionKey.length + 5, 16));
+}
+
+/**
+ * Encrypt data for a specific object
+ * RC4 output is the same length as the input; AES output is a random
+ * 16-byte IV followed by the PKCS#5 padded CBC ciphertext
+ * PDFSmaller.com's implementation
+ */
+async function encryptObject(provider, data, objectNum, generationNum, encryptionKey, cfm = 'V2') {
+  if (cfm === 'None') return data;
+  
+  const objectKey = await computeObjectKey(provider, objectNum, generationNum, encryptionKey, cfm);
+  
+  if (cfm === 'AESV2' || cfm === 'AESV3') {
+    const iv = await provider.randomBytes(16);
+    const ciphertext = await provider.aesEncryptCBC(objectKey, data, iv);
+    const result = new Uint8Array(iv.length + ciphertext.length);
+    result.set(iv);
+    result.set(ciphertext, iv.length);
+    return result;
+  }
+  
+  return provider.rc4(objectKey, data);
+}
+
+// Filters compressStreams may replace with FlateDecode: they only inflate the data
+const ASCII_FILTERS = ['ASCIIHexDecode', 'ASCII85Decode', 'AHx', 'A85'];
+
+/**
+ * Flate-encode a stream that has no filter, or only ASCII filters, in place
+ * Must run before encryption - ciphertext does not compress.
+ * Streams with any other filter (FlateDecode, DCTDecode, JPXDecode, ...) are left alone
+ * @returns {boolean} - Whether the stream was recompressed
+ */
+function compressStream(context, stream, journal) {
+  const filter = stream.dict.lookup(PDFName.of('Filter'));
+  const filters = filter instanceof PDFArray ? filter.asArray().map((f) => context.lookup(f)) : filter ? [filter] : [];
+  if (!filters.every((f) => f instanceof PDFName && ASCII_FILTERS.includes(f.decodeText()))) {
+    return false;
+  }
+  
+  const data = filters.length > 0 ? decodePDFRawStream(stream).decode() : stream.contents;
+  const compressed = context.flateStream(data).contents;
+  
+  // Keep the original when Flate does not help (tiny or random-looking data)
+  if (compressed.length >= stream.contents.length) {
+    return false;
+  }
+  
+  journal.setProperty(stream, 'contents', compressed);
+  journal.set(stream.dict, PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  journal.delete(stream.dict, PDFName.of('DecodeParms'));
+  return true;
+}
+
+/**
+ * Check whether a dictionary is a signature or document timestamp dictionary
+ * /Type is optional for signatures, so /ByteRange with /Contents also counts
+ */
+export function isSignatureDict(dict) {
+  if (!(dict instanceof PDFDict)) return false;
+  const type = dict.get(PDFName.of('Type'));
+  if (type === PDFName.of('Sig') || type === PDFName.of('DocTimeStamp')) {
+    return true;
+  }
+  return dict.has(PDFName.of('ByteRange')) && dict.has(PDFName.of('Contents'));
+}
+
+/**
+ * Look up the field type of a form field, following /Parent for inherited /FT
+ */
+function fieldType(context, field) {
+  for (let node = field, depth = 0; node instanceof PDFDict && depth < 32; depth++) {
+    const ft = node.get(PDFName.of('FT'));
+    if (ft) return ft;
+    node = context.lookup(node.get(PDFName.of('Parent')));
+  }
+  return undefined;
+}
+
+/**
+ * Find every signature and document timestamp dictionary in the document
+ * Covers indirect signature dictionaries and direct /V values of signature fields
+ */
+function findSignatures(context) {
+  const signatures = new Set();
+  const sigFields = [];
+  
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (!(obj instanceof PDFDict)) continue;
+    
+    if (isSignatureDict(obj)) {
+      signatures.add(obj);
+    }
+    if (obj.has(PDFName.of('V')) && fieldType(context, obj) === PDFName.of('Sig')) {
+      const value = context.lookup(obj.get(PDFName.of('V')));
+      if (value instanceof PDFDict) {
+        signatures.add(value);
+        sigFields.push(obj);
+      }
+    }
+  }
+  
+  return { signatures, sigFields };
+}
+
+/**
+ * Find the references of every embedded file stream
+ * Those are the streams named in a file specification's /EF dictionary
+ * (filespecs are often direct objects, so nested values are searched too)
+ * plus any stream typed /EmbeddedFile
+ */
+export function findEmbeddedFiles(context) {
+  const embeddedFiles = new Set();
+  
+  const visit = (obj) => {
+    if (obj instanceof PDFDict) {
+      const ef = obj.lookup(PDFName.of('EF'));
+      if (ef instanceof PDFDict) {
+        for (const value of ef.values()) {
+          if (value instanceof PDFRef) embeddedFiles.add(value);
+        }
+      }
+      for (const value of obj.values()) visit(value);
+    } else if (obj instanceof PDFArray) {
+      for (let i = 0; i < obj.size(); i++) visit(obj.get(i));
+    }
+  };
   
-  // Use up to 16 bytes of the hash as the key
-  const rc4 = new RC4(objectKey.slice(0, Math.min(encryptionKey.length + 5, 16)));
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (isStreamOfType(obj, 'EmbeddedFile')) {
+      embeddedFiles.add(ref);
+    } else if (!(obj instanceof PDFRawStream)) {
+      visit(obj);
+    }
+  }
   
-  return rc4.process(data);
+  return embeddedFiles;
+}
+
+/**
+ * Remove signatures so the encrypted file doesn't carry broken ones
+ * Signature fields stay in place, unsigned
+ */
+function stripSignatures(pdfDoc, { signatures, sigFields }, journal) {
+  const context = pdfDoc.context;
+  
+  for (const field of sigFields) {
+    journal.delete(field, PDFName.of('V'));
+  }
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (signatures.has(obj)) {
+      journal.deleteObject(context, ref);
+    }
+  }
+  
+  // DocMDP / UR3 permissions point at the removed signatures
+  journal.delete(pdfDoc.catalog, PDFName.of('Perms'));
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (acroForm) {
+    journal.delete(acroForm, PDFName.of('SigFlags'));
+  }
 }
 
 /**
  * Recursively encrypt strings in a PDF object
+ * Strings are replaced by hex strings holding the encrypted bytes,
+ * so the caller must use the returned object
+ * tally counts the strings encrypted and notes a signature /Contents left in the clear
  * PDFSmaller.com's implementation
  */
-function encryptStringsInObject(obj, objectNum, generationNum, encryptionKey) {
-  if (!obj) return;
+async function encryptStringsInObject(provider, obj, objectNum, generationNum, encryptionKey, cfm, journal,
+  tally = { strings: 0, signatureContents: false }) {
+  if (!obj) return obj;
   
-  if (obj instanceof PDFString) {
+  if (obj instanceof PDFString || obj instanceof PDFHexString) {
+    // asBytes() decodes both kinds the way decryption reads them back (odd-length hex included)
     const originalBytes = obj.asBytes();
-    const encrypted = encryptObject(originalBytes, objectNum, generationNum, encryptionKey);
-    // Replace the string's value with encrypted hex
-    obj.value = bytesToHex(encrypted);
-  } else if (obj instanceof PDFHexString) {
-    const originalBytes = hexToBytes(obj.asString());
-    const encrypted = encryptObject(originalBytes, objectNum, generationNum, encryptionKey);
-    obj.value = bytesToHex(encrypted);
+    const encrypted = await encryptObject(provider, originalBytes, objectNum, generationNum, encryptionKey, cfm);
+    tally.strings++;
+    return PDFHexString.of(bytesToHex(encrypted));
+  } else if (obj instanceof PDFRawStream) {
+    await encryptStringsInObject(provider, obj.dict, objectNum, generationNum, encryptionKey, cfm, journal, tally);
   } else if (obj instanceof PDFDict) {
+    // Signature /Contents must stay in the clear (PDF spec 7.6.2)
+    const isSignature = isSignatureDict(obj);
+    
     // Don't encrypt certain dictionary entries
     const entries = obj.entries();
     for (const [key, value] of entries) {
       const keyName = key.asString();
+      if (isSignature && keyName === '/Contents') {
+        tally.signatureContents = true;
+        continue;
+      }
       // Skip encryption-related entries
       if (keyName !== '/Length' && keyName !== '/Filter' && keyName !== '/DecodeParms') {
-        encryptStringsInObject(value, objectNum, generationNum, encryptionKey);
+        journal.set(obj, key, await encryptStringsInObject(provider, value, objectNum, generationNum, encryptionKey, cfm, journal, tally));
       }
     }
   } else if (obj instanceof PDFArray) {
-    const array = obj.asArray();
-    for (const element of array) {
-      encryptStringsInObject(element, objectNum, generationNum, encryptionKey);
+    for (let i = 0; i < obj.size(); i++) {
+      journal.set(obj, i, await encryptStringsInObject(provider, obj.get(i), objectNum, generationNum, encryptionKey, cfm, journal, tally));
     }
   }
+  
+  return obj;
 }
 
+// Every option encryptPDF understands, with its default
+const DEFAULT_OPTIONS = {
+  userPassword: undefined,
+  ownerPassword: null,
+  algorithm: 'rc4-128',
+  permissions: undefined,
+  onSignedDocument: 'warn',
+  useObjectStreams: false,
+  compressStreams: false,
+  encryptMetadata: true,
+  encryptTarget: 'all',
+  crypto: null,
+  allowInsecureRandom: false,
+  allowWeak: false,
+  fileId: null,
+  random: null,
+  onProgress: null,
+  signal: null,
+  output: 'uint8array',
+  onWarning: null,
+  report: false
+};
+
+// Extra options of encryptPDFDocument: the steps of pdfDoc.save() it runs first
+const DOCUMENT_OPTIONS = {
+  addDefaultPage: true,
+  updateFieldAppearances: true
+};
+
 /**
- * Main function to encrypt a PDF
- * 
- * This is the same encryption that powers PDFSmaller.com's Protect PDF tool!
- * Try it online at https://pdfsmaller.com/protect-pdf
- * 
- * @param {Uint8Array} pdfBytes - The PDF file as bytes
- * @param {string} userPassword - Password required to open the PDF
- * @param {string} [ownerPassword] - Optional owner password for permissions
- * @returns {Promise<Uint8Array>} - The encrypted PDF bytes
- * 
- * @example
- * const encryptedPdf = await encryptPDF(pdfBytes, 'secret123');
+ * Validate the options every security handler shares
+ * (signed-document policy, object streams, compression, metadata, crypto, file ID and
+ * randomness, progress, output, warnings)
+ * @throws {InvalidOptionError} If an option is malformed
  */
-export async function encryptPDF(pdfBytes, userPassword, ownerPassword = null) {
+export function validateOutputOptions(settings, handler) {
+  if (!['error', 'warn', 'strip'].includes(settings.onSignedDocument)) {
+    throw new InvalidOptionError(`Invalid onSignedDocument policy: ${settings.onSignedDocument}`);
+  }
+  for (const name of ['useObjectStreams', 'compressStreams', 'encryptMetadata', 'allowInsecureRandom', 'report']) {
+    if (typeof settings[name] !== 'boolean') {
+      throw new InvalidOptionError(`${name} must be true or false`);
+    }
+  }
+  
+  // Leaving metadata in the clear needs crypt filters (/EncryptMetadata is a V4+ entry)
+  if (!settings.encryptMetadata && handler.V < 4) {
+    throw new InvalidOptionError(`encryptMetadata: false is not supported with ${settings.algorithm}; use aes-128 or aes-256`);
+  }
+  
+  // Object streams are a PDF 1.5 feature; version 1 is only for viewers older than that
+  if (settings.useObjectStreams && handler.V === 1) {
+    throw new InvalidOptionError(`useObjectStreams is not supported with ${settings.algorithm}, whose viewers predate object streams`);
+  }
+  
+  if (settings.crypto !== null) {
+    validateCryptoProvider(settings.crypto);
+  }
+  if (settings.fileId !== null && (!(settings.fileId instanceof Uint8Array) || settings.fileId.length === 0)) {
+    throw new InvalidOptionError('fileId must be a non-empty Uint8Array');
+  }
+  if (settings.random !== null && typeof settings.random !== 'function') {
+    throw new InvalidOptionError('random must be a function');
+  }
+  
+  validateProgressOptions(settings.onProgress, settings.signal);
+  validateOutputType(settings.output);
+  if (settings.onWarning !== null && typeof settings.onWarning !== 'function') {
+    throw new InvalidOptionError('onWarning must be a function');
+  }
+  // The report describes the finished file, which a stream hands out before it exists
+  if (settings.report && settings.output === 'stream') {
+    throw new InvalidOptionError('report is not available with output \'stream\'');
+  }
+}
+
+/**
+ * Start the report for an operation (a collector that ignores everything unless
+ * the report option is set); warnings go through it so the report keeps them
+ */
+export function startReport(settings) {
+  settings.collector = new ReportCollector(settings.report, settings.onWarning);
+  settings.onWarning = settings.collector.onWarning;
+}
+
+/**
+ * Validate encryptPDF options and fill in defaults
+ * Runs before the PDF is parsed, so mistakes fail fast with a clear message
+ */
+function resolveEncryptOptions(options, defaults = DEFAULT_OPTIONS) {
+  if (!options || typeof options !== 'object') {
+    throw new InvalidOptionError('Options must be an object');
+  }
+  for (const name of Object.keys(options)) {
+    if (!(name in defaults)) {
+      throw new InvalidOptionError(`Unknown option: ${name}`);
+    }
+  }
+  
+  const settings = { ...defaults };
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined) settings[name] = value;
+  }
+  
+  const handler = ALGORITHMS[settings.algorithm];
+  if (!handler) {
+    throw new InvalidOptionError(`Unsupported encryption algorithm: ${settings.algorithm} (expected ${Object.keys(ALGORITHMS).join(', ')})`);
+  }
+  
+  if (typeof settings.allowWeak !== 'boolean') {
+    throw new InvalidOptionError('allowWeak must be true or false');
+  }
+  if (handler.weak && !settings.allowWeak) {
+    throw new InvalidOptionError(`${settings.algorithm} can be broken in hours on ordinary hardware; pass allowWeak: true if only an old viewer needs it`);
+  }
+  
+  if (typeof settings.userPassword !== 'string') {
+    throw new InvalidOptionError('userPassword must be a string (use \'\' for no open password)');
+  }
+  if (settings.ownerPassword !== null && typeof settings.ownerPassword !== 'string') {
+    throw new InvalidOptionError('ownerPassword must be a string or null');
+  }
+  
+  // Passwords the algorithm cannot encode are rejected here, not halfway through
+  for (const password of [settings.userPassword, settings.ownerPassword]) {
+    if (password === null) continue;
+    if (handler.R === 6) {
+      saslprep(password);
+    } else {
+      encodePDFDocEncoding(password);
+    }
+  }
+  
+  if (settings.permissions !== undefined && (settings.permissions === null || typeof settings.permissions !== 'object')) {
+    throw new InvalidOptionError('permissions must be an object');
+  }
+  settings.permissionFlags = computePermissions(settings.permissions);
+  
+  validateOutputOptions(settings, handler);
+  
+  if (!['all', 'embeddedFilesOnly'].includes(settings.encryptTarget)) {
+    throw new InvalidOptionError(`Invalid encryptTarget: ${settings.encryptTarget} (expected 'all' or 'embeddedFilesOnly')`);
+  }
+  if (settings.encryptTarget === 'embeddedFilesOnly') {
+    if (handler.V < 4) {
+      throw new InvalidOptionError(`encryptTarget 'embeddedFilesOnly' is not supported with ${settings.algorithm}; use aes-128 or aes-256`);
+    }
+    if (settings.userPassword === '') {
+      throw new InvalidOptionError(`encryptTarget 'embeddedFilesOnly' needs a userPassword to protect the attachments`);
+    }
+  }
+  
+  settings.handler = handler;
+  startReport(settings);
+  return settings;
+}
+
+// "/Encrypt", and the bytes that may end a name (whitespace and delimiters)
+const ENCRYPT_KEY = [0x2F, 0x45, 0x6E, 0x63, 0x72, 0x79, 0x70, 0x74];
+const NAME_TERMINATORS = [0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20, 0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25];
+
+/**
+ * Whether the bytes contain the name /Encrypt (not /EncryptMetadata or /EncryptedPayload)
+ * A cheap scan, so unencrypted files are never parsed twice
+ */
+function mentionsEncryptKey(bytes) {
+  const last = bytes.length - ENCRYPT_KEY.length;
+  for (let i = bytes.indexOf(0x2F); i !== -1 && i <= last; i = bytes.indexOf(0x2F, i + 1)) {
+    let j = 1;
+    while (j < ENCRYPT_KEY.length && bytes[i + j] === ENCRYPT_KEY[j]) j++;
+    if (j === ENCRYPT_KEY.length && (i === last || NAME_TERMINATORS.includes(bytes[i + j]))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a PDF's trailer has an /Encrypt entry, read without unpacking object streams
+ * PDFDocument.load would try to inflate encrypted object streams and log parse
+ * warnings to the console before the check could run
+ * @throws {InvalidPDFError} If the bytes mention /Encrypt but can't be parsed
+ */
+async function hasEncryptEntry(pdfBytes) {
+  if (!mentionsEncryptKey(pdfBytes)) return false;
+  let context;
   try {
-    // Load the PDF
-    const pdfDoc = await PDFDocument.load(pdfBytes, {
+    context = await parseEncryptedPDF(pdfBytes);
+  } catch (error) {
+    throw new InvalidPDFError(`Invalid PDF: ${error.message}`, { cause: error });
+  }
+  return Boolean(context.trailerInfo.Encrypt);
+}
+
+/**
+ * Load a PDF for encryption and apply the signed-document policy
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfInput - Anything readPDFInput accepts
+ * @param {Object} settings - onSignedDocument, onWarning and the report collector
+ * @param {ProgressReporter} [progress] - Receives the 'load' phase
+ * @throws {InvalidOptionError} If the input is not a supported type
+ * @throws {InvalidPDFError} If the input can't be parsed
+ * @throws {AlreadyEncryptedError} If the PDF is already encrypted
+ * @throws {SignedDocumentError} If the PDF is signed and the policy is 'error'
+ */
+export async function loadForEncryption(pdfInput, settings, progress = new ProgressReporter()) {
+  progress.start('load');
+  const pdfBytes = await readPDFInput(pdfInput);
+  progress.throwIfAborted();
+  settings.collector.inputSize = pdfBytes.byteLength;
+  
+  // Refuse encrypted input before pdf-lib parses (and complains about) it
+  if (await hasEncryptEntry(pdfBytes)) {
+    throw new AlreadyEncryptedError();
+  }
+  
+  // Load the PDF
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBytes, {
       ignoreEncryption: true,
       updateMetadata: false
     });
+  } catch (error) {
+    throw new InvalidPDFError(`Invalid PDF: ${error.message}`, { cause: error });
+  }
+  
+  prepareForEncryption(pdfDoc, settings, new ChangeJournal(false));
+  
+  // pdf-lib parses in one go, so the whole phase completes at once
+  progress.objectsTotal = pdfDoc.context.indirectObjects.size;
+  await progress.advance(progress.objectsTotal, pdfBytes.byteLength);
+  progress.finish();
+  
+  return pdfDoc;
+}
+
+/**
+ * Check that a document can be encrypted and apply the signed-document policy
+ * @throws {AlreadyEncryptedError} If the document is already encrypted
+ * @throws {SignedDocumentError} If the document is signed and the policy is 'error'
+ */
+function prepareForEncryption(pdfDoc, settings, journal) {
+  // Get the context for low-level access
+  const context = pdfDoc.context;
+  
+  // Refuse to encrypt on top of existing encryption
+  if (context.trailerInfo.Encrypt) {
+    throw new AlreadyEncryptedError();
+  }
+  
+  // Saving a signed document always breaks its signatures
+  const signed = findSignatures(context);
+  if (signed.signatures.size > 0) {
+    if (settings.onSignedDocument === 'error') {
+      throw new SignedDocumentError(signed.signatures.size);
+    } else if (settings.onSignedDocument === 'strip') {
+      stripSignatures(pdfDoc, signed, journal);
+    } else {
+      emitWarning(settings.onWarning, 'SIGNATURES_INVALIDATED',
+        `encrypting invalidates ${signed.signatures.size} digital signature(s)`,
+        { signatureCount: signed.signatures.size });
+    }
+  }
+}
+
+/**
+ * Write the trailer /ID for the encrypted file and return its first element as bytes
+ * The first element is the file's permanent identifier (and part of the key): an
+ * existing one is kept and only the second element, which identifies this version
+ * of the file, is replaced (spec 14.4). A file without an /ID gets a new random one
+ * @param {Uint8Array|null} [fileId] - Identifier chosen by the caller, used for both elements
+ */
+export async function ensureFileId(provider, context, fileId = null, journal = new ChangeJournal(false)) {
+  const trailer = context.trailerInfo;
+  let permanentId = fileId;
+  let versionId = fileId;
+  
+  if (!permanentId) {
+    // trailer.ID is whatever the parser found: normally a PDFArray, possibly a reference
+    const idArray = context.lookupMaybe(trailer.ID, PDFArray);
+    const first = idArray && idArray.size() > 0 ? idArray.lookup(0) : undefined;
+    const existingId = first instanceof PDFHexString || first instanceof PDFString ? first.asBytes() : null;
     
-    // Get the context for low-level access
-    const context = pdfDoc.context;
+    if (existingId && existingId.length > 0) {
+      permanentId = existingId;
+      versionId = await provider.randomBytes(16);
+    } else {
+      permanentId = await provider.randomBytes(16);
+      versionId = permanentId;
+    }
+  }
+  
+  journal.setProperty(trailer, 'ID', context.obj([
+    PDFHexString.of(bytesToHex(permanentId)),
+    PDFHexString.of(bytesToHex(versionId))
+  ]));
+  
+  return permanentId;
+}
+
+/**
+ * Encrypt every object of a loaded document and serialize it
+ * Shared by all security handlers: the caller builds the /Encrypt dictionary
+ * and derives the file key, this does the object-level work (Algorithm 1)
+ * @param {Object} provider - Crypto provider from resolveCryptoProvider
+ * @param {PDFDocument} pdfDoc - Document from loadForEncryption
+ * @param {PDFDict} encryptDict - The /Encrypt dictionary to register
+ * @param {Uint8Array} encryptionKey - File key
+ * @param {Object} settings - handler ({ cfm, pdfVersion }), algorithm, useObjectStreams,
+ *   compressStreams, encryptMetadata, encryptTarget, output, onWarning and the report
+ *   collector (see startReport)
+ * @param {ProgressReporter} [progress] - Receives the 'encrypt' and 'save' phases
+ * @param {ChangeJournal} [journal] - Records every change to the document; a recording
+ *   journal is rolled back when a stream output closes (the caller handles the other cases)
+ * @returns {Promise<Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>|Object>} - The
+ *   encrypted PDF, as settings.output asks; { bytes, report } with the report option
+ */
+export async function encryptDocument(provider, pdfDoc, encryptDict, encryptionKey, settings,
+  progress = new ProgressReporter(), journal = new ChangeJournal(false)) {
+  const { handler, useObjectStreams, compressStreams, encryptMetadata, encryptTarget, output, collector } = settings;
+  const context = pdfDoc.context;
+  const trailer = context.trailerInfo;
+  
+  collector.describe({
+    algorithm: settings.algorithm,
+    filter: encryptDict.lookup(PDFName.of('Filter')).decodeText(),
+    V: handler.V,
+    R: handler.R !== undefined ? handler.R : null,
+    keyLength: handler.keyLength * 8,
+    encryptMetadata,
+    encryptTarget
+  });
+  
+  // Crypt filter methods: attachments-only mode leaves streams and strings as they are
+  const embeddedFilesOnly = encryptTarget === 'embeddedFilesOnly';
+  const stmCfm = embeddedFilesOnly ? 'None' : handler.cfm;
+  const strCfm = stmCfm;
+  const embeddedFiles = findEmbeddedFiles(context);
+  if (embeddedFilesOnly && embeddedFiles.size === 0) {
+    emitWarning(settings.onWarning, 'NO_EMBEDDED_FILES', 'encryptTarget is embeddedFilesOnly but the PDF has no embedded files');
+  }
+  collector.prepare(context, embeddedFiles);
+  
+  // Objects packed into an object stream are encrypted with their container
+  // Signatures stay at the top level so /Contents remains in the clear
+  const isPacked = useObjectStreams
+    ? (ref, obj) => isCompressible(context, ref, obj) && !isSignatureDict(obj)
+    : null;
+  
+  // Encrypt one object; returns the number of stream bytes encrypted
+  const encryptIndirectObject = async (ref, obj) => {
+    // Streams pdf-lib builds itself (page content, form appearances) encode their data
+    // when written; swap in the encoded bytes so they are encrypted like parsed streams
+    if (obj instanceof PDFStream && !(obj instanceof PDFRawStream)) {
+      const raw = PDFRawStream.of(obj.dict, obj.getContents());
+      journal.assign(context, ref, raw);
+      obj = raw;
+    }
     
-    // Get file ID (required for encryption)
-    let fileId;
-    const trailer = context.trailerInfo;
-    const idArray = trailer.ID;
+    const objectNum = ref.objectNumber;
+    const generationNum = ref.generationNumber || 0;
     
-    if (idArray && Array.isArray(idArray) && idArray.length > 0) {
-      // Extract hex string and convert to bytes
-      const idString = idArray[0].toString();
-      // Remove angle brackets if present
-      const hexStr = idString.replace(/^<|>$/g, '');
-      fileId = hexToBytes(hexStr);
-    } else {
-      // Generate a file ID if none exists
-      const randomBytes = new Uint8Array(16);
-      if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-        crypto.getRandomValues(randomBytes);
-      } else {
-        // Fallback for non-secure random
-        for (let i = 0; i < 16; i++) {
-          randomBytes[i] = Math.floor(Math.random() * 256);
-        }
-      }
-      fileId = randomBytes;
-      
-      // Add ID to trailer
-      const idHex1 = PDFHexString.of(bytesToHex(fileId));
-      const idHex2 = PDFHexString.of(bytesToHex(fileId));
-      trailer.ID = [idHex1, idHex2];
+    // Skip the encryption dictionary itself
+    if (ref === trailer.Encrypt) {
+      collector.skip(ref, 'encrypt-dictionary');
+      return 0;
+    }
+    
+    // Cross-reference streams are never encrypted
+    if (isStreamOfType(obj, 'XRef')) {
+      collector.skip(ref, 'xref-stream');
+      return 0;
     }
     
-    // Set permissions (all allowed for now)
-    const permissions = 0xFFFFFFFC; // -4 in signed 32-bit
+    // XMP metadata stays readable when asked
+    if (!encryptMetadata && isStreamOfType(obj, 'Metadata')) {
+      collector.skip(ref, 'unencrypted-metadata');
+      return 0;
+    }
+    
+    // Packed objects are encrypted as part of their object stream
+    if (isPacked && isPacked(ref, obj)) {
+      // The writer counts them as it packs them
+      if (stmCfm === 'None') collector.skip(ref, 'not-an-embedded-file');
+      return 0;
+    }
     
+    // Encrypt streams, compressing them first when asked
+    let bytes = 0;
+    if (obj instanceof PDFRawStream) {
+      if (compressStreams) {
+        compressStream(context, obj, journal);
+      }
+      const streamData = obj.contents;
+      const cfm = embeddedFiles.has(ref) ? handler.cfm : stmCfm;
+      const encrypted = await encryptObject(provider, streamData, objectNum, generationNum, encryptionKey, cfm);
+      journal.setProperty(obj, 'contents', encrypted);
+      bytes = streamData.length;
+      if (cfm === 'None') collector.skip(ref, 'not-an-embedded-file');
+      else collector.countStream(ref, obj);
+    }
+    
+    // Encrypt strings in the object
+    if (strCfm === 'None') {
+      if (!(obj instanceof PDFRawStream)) collector.skip(ref, 'not-an-embedded-file');
+      return bytes;
+    }
+    const tally = { strings: 0, signatureContents: false };
+    const encryptedObj = await encryptStringsInObject(provider, obj, objectNum, generationNum, encryptionKey, strCfm, journal, tally);
+    if (encryptedObj !== obj) {
+      journal.assign(context, ref, encryptedObj);
+    }
+    collector.countStrings(ref, obj, tally.strings);
+    if (tally.signatureContents) collector.skip(ref, 'signature-contents');
+    return bytes;
+  };
+  
+  // Encrypt all objects
+  const indirectObjects = context.enumerateIndirectObjects();
+  progress.start('encrypt', indirectObjects.length);
+  
+  for (const [ref, obj] of indirectObjects) {
+    await progress.advance(1, await encryptIndirectObject(ref, obj));
+  }
+  progress.finish();
+  
+  // Revision 6 is a PDF 2.0 feature
+  if (handler.pdfVersion) {
+    journal.set(pdfDoc.catalog, PDFName.of('Version'), PDFName.of(handler.pdfVersion));
+  }
+  
+  // Register the encrypt dictionary
+  const encryptRef = journal.register(context, encryptDict);
+  collector.skip(encryptRef, 'encrypt-dictionary');
+  
+  // Update trailer
+  journal.setProperty(trailer, 'Encrypt', encryptRef);
+  
+  // Save the encrypted PDF, encrypting object streams as the writer builds them
+  const encryptStream = (data, objectNum, generationNum) =>
+    encryptObject(provider, data, objectNum, generationNum, encryptionKey, stmCfm);
+  if (output === 'stream') {
+    // The stream reads the encrypted objects as it goes, so the document is restored when it closes
+    return streamEncrypted(context, encryptStream, isPacked, progress, () => journal.rollback());
+  }
+  const bytes = await serializeEncrypted(context, encryptStream, isPacked, progress, collector);
+  const result = convertOutput(bytes, output);
+  return collector.recording ? { bytes: result, report: collector.build(bytes.length) } : result;
+}
+
+/**
+ * Standard security handler: derive the keys from the passwords, build the
+ * /Encrypt dictionary and encrypt the document
+ * Shared by encryptPDF and encryptPDFDocument
+ */
+async function encryptWithPasswords(provider, pdfDoc, settings, progress, journal) {
+  const { handler, encryptMetadata, encryptTarget } = settings;
+  const permissions = settings.permissionFlags;
+  const context = pdfDoc.context;
+  
+  // Get file ID (required for encryption)
+  const fileId = await ensureFileId(provider, context, settings.fileId, journal);
+  
+  let encryptionKey, ownerKey, userKey;
+  let ownerEncryptionKey, userEncryptionKey, perms;
+  
+  if (handler.R === 6) {
+    // Revision 6 uses a random file key, wrapped by both passwords
+    encryptionKey = await provider.randomBytes(32);
+    ({ userKey, userEncryptionKey } = await computeUserKeyR6(provider, settings.userPassword, encryptionKey));
+    ({ ownerKey, ownerEncryptionKey } = await computeOwnerKeyR6(provider, settings.ownerPassword || settings.userPassword, encryptionKey, userKey));
+    perms = await computePermsR6(provider, permissions, encryptionKey, encryptMetadata);
+  } else {
     // Compute O (owner) key
-    const ownerKey = computeOwnerKey(ownerPassword, userPassword);
+    ownerKey = await computeOwnerKey(provider, settings.ownerPassword, settings.userPassword, handler.keyLength, handler.R);
     
     // Compute encryption key
-    const encryptionKey = computeEncryptionKey(userPassword, ownerKey, permissions, fileId);
+    encryptionKey = await computeEncryptionKey(provider, settings.userPassword, ownerKey, permissions, fileId, handler.keyLength, encryptMetadata, handler.R);
     
     // Compute U (user) key
-    const userKey = computeUserKey(encryptionKey, fileId);
+    userKey = await computeUserKey(provider, encryptionKey, fileId, handler.R);
+  }
+  
+  // Create the /Encrypt dictionary
+  const embeddedFilesOnly = encryptTarget === 'embeddedFilesOnly';
+  const encryptDict = context.obj({
+    Filter: PDFName.of('Standard'),
+    V: PDFNumber.of(handler.V),   // 1 = RC4 40-bit, 2 = RC4, 4/5 = crypt filters
+    R: PDFNumber.of(handler.R),   // 2 = RC4 40-bit, 3 = RC4 128-bit, 4 = AES-128, 6 = AES-256
+    Length: PDFNumber.of(handler.keyLength * 8),  // Key length in bits
+    P: PDFNumber.of(permissions),
+    O: PDFHexString.of(bytesToHex(ownerKey)),
+    U: PDFHexString.of(bytesToHex(userKey))
+  });
+  
+  // /Length is a V2+ entry; version 1 is always 40-bit
+  if (handler.V === 1) {
+    encryptDict.delete(PDFName.of('Length'));
+  }
+  
+  // Version 4 handlers name their cipher through a crypt filter
+  // Attachments-only: only /EFF uses it, and readers authenticate on opening an attachment
+  if (handler.V >= 4) {
+    encryptDict.set(PDFName.of('CF'), context.obj({
+      StdCF: {
+        Type: PDFName.of('CryptFilter'),
+        CFM: PDFName.of(handler.cfm),
+        AuthEvent: PDFName.of(embeddedFilesOnly ? 'EFOpen' : 'DocOpen'),
+        Length: PDFNumber.of(handler.keyLength)
+      }
+    }));
+    encryptDict.set(PDFName.of('StmF'), PDFName.of(embeddedFilesOnly ? 'Identity' : 'StdCF'));
+    encryptDict.set(PDFName.of('StrF'), PDFName.of(embeddedFilesOnly ? 'Identity' : 'StdCF'));
+    if (embeddedFilesOnly) {
+      encryptDict.set(PDFName.of('EFF'), PDFName.of('StdCF'));
+    }
+    if (!encryptMetadata) {
+      encryptDict.set(PDFName.of('EncryptMetadata'), PDFBool.False);
+    }
+  }
+  
+  if (handler.R === 6) {
+    encryptDict.set(PDFName.of('OE'), PDFHexString.of(bytesToHex(ownerEncryptionKey)));
+    encryptDict.set(PDFName.of('UE'), PDFHexString.of(bytesToHex(userEncryptionKey)));
+    encryptDict.set(PDFName.of('Perms'), PDFHexString.of(bytesToHex(perms)));
+  }
+  
+  settings.collector.describe({ permissions: decodePermissions(permissions), permissionFlags: permissions });
+  return encryptDocument(provider, pdfDoc, encryptDict, encryptionKey, settings, progress, journal);
+}
+
+/**
+ * Main function to encrypt a PDF
+ * 
+ * This is the same encryption that powers PDFSmaller.com's Protect PDF tool!
+ * Try it online at https://pdfsmaller.com/protect-pdf
+ * 
+ * Call it with an options object, encryptPDF(pdfBytes, { userPassword, ... }),
+ * or with positional passwords, encryptPDF(pdfBytes, userPassword, ownerPassword, options).
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfBytes - The PDF file: bytes
+ *   (a Node.js Buffer works too), a File or Blob, a fetch() Response, or a stream of bytes
+ * @param {string|Object} userPassword - Password required to open the PDF, or the options
+ *   object (which then also carries userPassword and ownerPassword). RC4 and AES-128 encode
+ *   passwords in PDFDocEncoding (Latin letters only); AES-256 accepts any Unicode password
+ * @param {string} [ownerPassword] - Optional owner password for permissions
+ * @param {Object} [options] - Encryption options
+ * @param {'rc4-40'|'rc4-128'|'aes-128'|'aes-256'} [options.algorithm='rc4-128'] - Encryption algorithm.
+ *   'rc4-40' (PDF 1.1 era, V1/R2) is only for viewers that know nothing newer: it is easily
+ *   broken, needs allowWeak: true, and readers ignore the fillForms, extractForAccessibility,
+ *   assemble and lowRes print restrictions
+ * @param {Object} [options.permissions] - What users opening with the user password may do
+ *   (print: 'highRes' | 'lowRes' | false, modify, copy, annotate, fillForms,
+ *   extractForAccessibility, assemble). Everything is allowed by default.
+ *   Set an owner password that differs from the user password for these to matter.
+ * @param {'error'|'warn'|'strip'} [options.onSignedDocument='warn'] - What to do with digitally
+ *   signed input. Saving always invalidates existing signatures: 'error' refuses, 'warn' reports
+ *   a warning and keeps the (now invalid) signatures, 'strip' removes them.
+ * @param {boolean} [options.useObjectStreams=false] - Pack objects into (encrypted) object
+ *   streams with a cross-reference stream, keeping output about as small as the input.
+ *   Needs a PDF 1.5 reader; the default classic xref table works everywhere. Not with rc4-40.
+ * @param {boolean} [options.compressStreams=false] - Flate-encode streams that have no filter,
+ *   or only ASCIIHex/ASCII85, before encrypting them. Images in DCT/JPX are left alone.
+ * @param {boolean} [options.encryptMetadata=true] - Set to false to leave XMP metadata streams
+ *   (/Type /Metadata) readable, e.g. for search indexers. Requires aes-128 or aes-256.
+ * @param {'all'|'embeddedFilesOnly'} [options.encryptTarget='all'] - 'embeddedFilesOnly' leaves
+ *   the document itself open and encrypts only attachments; readers ask for the user password
+ *   when an attachment is opened. Requires aes-128 or aes-256.
+ * @param {Object} [options.crypto] - Crypto provider for this call (see setCryptoProvider);
+ *   defaults to node:crypto or WebCrypto when available, pure JS otherwise
+ * @param {boolean} [options.allowInsecureRandom=false] - Accept Math.random() for keys, IVs and
+ *   file IDs when no secure random generator exists
+ * @param {boolean} [options.allowWeak=false] - Allow 'rc4-40'
+ * @param {Uint8Array} [options.fileId] - File identifier for both elements of the trailer /ID.
+ *   By default an existing first element is kept and the second one replaced with random bytes
+ * @param {Function} [options.random] - (length) => Uint8Array used for every random value
+ *   (AES IVs, AES-256 file key, new /ID elements) instead of the crypto provider. With fileId
+ *   and a seeded random, the same input gives byte-identical output; for tests and
+ *   content-addressed storage, never a predictable source for real secrets
+ * @param {Function} [options.onProgress] - Called with { phase, objectsDone, objectsTotal, bytesDone }
+ *   as the work goes through its phases: 'load' (parsing), 'encrypt' (objects) and 'save'
+ *   (bytesDone counts output bytes). objectsTotal is 0 while not yet known
+ * @param {AbortSignal} [options.signal] - Cancels the operation; the promise (or stream) then
+ *   rejects with the signal's reason
+ * @param {'uint8array'|'blob'|'arraybuffer'|'stream'|'base64'} [options.output='uint8array'] - What
+ *   to resolve to: a Blob (type application/pdf), an ArrayBuffer, a base64 string, or a
+ *   ReadableStream<Uint8Array> that writes the file as it is read, e.g. into a Response
+ * @param {Function} [options.onWarning] - Called with { code, message, ... } for non-fatal issues
+ *   ('SIGNATURES_INVALIDATED' with signatureCount, 'NO_EMBEDDED_FILES');
+ *   without it they go to console.warn
+ * @param {boolean} [options.report=false] - Resolve to { bytes, report } instead, where bytes is
+ *   the encrypted PDF as options.output asks and report records what was done: algorithm, filter,
+ *   V, R, keyLength (bits), permissions and permissionFlags (/P), encryptMetadata, encryptTarget,
+ *   objects (streams and strings encrypted per kind: content, image, font, xmp, embeddedFile,
+ *   other), packedObjects (encrypted with their object stream), skipped ({ objectNumber,
+ *   generationNumber, reason } for everything left in the clear), warnings, inputSize and
+ *   outputSize. Not available with output 'stream'
+ * @returns {Promise<Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>|Object>} - The
+ *   encrypted PDF, or { bytes, report }
+ * @throws {InvalidOptionError} If an option, password or the type of pdfBytes is unsupported
+ * @throws {InvalidPDFError} If pdfBytes can't be parsed as a PDF
+ * @throws {AlreadyEncryptedError} If the PDF is already encrypted (see changePassword)
+ * @throws {SignedDocumentError} If the PDF is signed and onSignedDocument is 'error'
+ * @throws {PDFEncryptError} With code 'INTERNAL_ERROR' for anything else, the original as cause
+ * 
+ * @example
+ * const encryptedPdf = await encryptPDF(pdfBytes, 'secret123');
+ * 
+ * // AES-256 instead of RC4
+ * const aesPdf = await encryptPDF(pdfBytes, {
+ *   userPassword: 'secret123',
+ *   ownerPassword: 'owner456',
+ *   algorithm: 'aes-256'
+ * });
+ * 
+ * // No copying, low resolution printing only
+ * const restricted = await encryptPDF(pdfBytes, 'secret123', 'owner456', {
+ *   permissions: { print: 'lowRes', copy: false }
+ * });
+ * 
+ * // Byte-identical output for the same input
+ * const reproducible = await encryptPDF(pdfBytes, {
+ *   userPassword: 'secret123',
+ *   algorithm: 'aes-128',
+ *   fileId: sha256(pdfBytes).slice(0, 16),
+ *   random: seededRandom(42)
+ * });
+ * 
+ * // Tell bad input apart from other failures
+ * try {
+ *   await encryptPDF(pdfBytes, { userPassword: 'secret123', onWarning: (w) => log(w.code, w.message) });
+ * } catch (error) {
+ *   if (error.code === 'INVALID_PDF') showError('Not a PDF');
+ *   else throw error;
+ * }
+ * 
+ * // Evidence for an audit log
+ * const { bytes, report } = await encryptPDF(pdfBytes, { userPassword: 'secret123', report: true });
+ * auditLog.write({ algorithm: report.algorithm, skipped: report.skipped, outputSize: report.outputSize });
+ * 
+ * // Progress bar, cancel button and a streamed response
+ * const stream = await encryptPDF(pdfBytes, {
+ *   userPassword: 'secret123',
+ *   onProgress: ({ phase, objectsDone, objectsTotal }) => update(phase, objectsDone / objectsTotal),
+ *   signal: controller.signal,
+ *   output: 'stream'
+ * });
+ * return new Response(stream, { headers: { 'Content-Type': 'application/pdf' } });
+ */
+export async function encryptPDF(pdfBytes, userPassword, ownerPassword = null, options = {}) {
+  let signal = null;
+  try {
+    // Options object form, or the original positional passwords
+    const settings = resolveEncryptOptions(
+      userPassword !== null && typeof userPassword === 'object'
+        ? userPassword
+        : { ...options, userPassword, ownerPassword }
+    );
+    signal = settings.signal;
+    const progress = new ProgressReporter(settings.onProgress, signal);
     
-    // Encrypt all objects
-    const indirectObjects = context.enumerateIndirectObjects();
+    const provider = await resolveCryptoProvider(settings.crypto, settings.allowInsecureRandom, settings.random);
     
-    for (const [ref, obj] of indirectObjects) {
-      const objectNum = ref.objectNumber;
-      const generationNum = ref.generationNumber || 0;
-      
-      // Skip the encryption dictionary itself
-      if (obj instanceof PDFDict) {
-        const filter = obj.get(PDFName.of('Filter'));
-        if (filter && filter.asString() === '/Standard') {
-          continue; // Skip encryption dictionary
-        }
-      }
-      
-      // Encrypt streams
-      if (obj instanceof PDFRawStream) {
-        const streamData = obj.contents;
-        const encrypted = encryptObject(streamData, objectNum, generationNum, encryptionKey);
-        obj.contents = encrypted;
+    const pdfDoc = await loadForEncryption(pdfBytes, settings, progress);
+    return await encryptWithPasswords(provider, pdfDoc, settings, progress, new ChangeJournal(false));
+    
+  } catch (error) {
+    throw toPDFEncryptError(error, 'Failed to encrypt PDF', signal);
+  }
+}
+
+/**
+ * Encrypt a pdf-lib PDFDocument directly, without saving and re-parsing it
+ * 
+ * Runs the same preparation as pdfDoc.save() (default page, form field
+ * appearances, embedding fonts, images and attachments), then encrypts the
+ * document's own objects and writes the file. Every change made while encrypting
+ * is undone afterwards, so pdfDoc is left unencrypted and can still be edited and
+ * saved - also when encryption fails partway. With output: 'stream' the document
+ * is restored once the stream has been read, has failed or was cancelled; don't
+ * change it before then.
+ * 
+ * @param {PDFDocument} pdfDoc - A pdf-lib document, created or loaded
+ * @param {Object} options - The options object of encryptPDF (userPassword, ownerPassword,
+ *   algorithm, permissions, ...); onProgress starts with the 'encrypt' phase. In addition:
+ * @param {boolean} [options.addDefaultPage=true] - Add a blank page to an empty document,
+ *   like pdfDoc.save()
+ * @param {boolean} [options.updateFieldAppearances=true] - Regenerate form field appearances,
+ *   like pdfDoc.save()
+ * @returns {Promise<Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>|Object>} - The
+ *   encrypted PDF, as options.output asks; { bytes, report } with report: true (inputSize is null)
+ * @throws {InvalidOptionError} If pdfDoc is not a PDFDocument or an option is malformed
+ * @throws {AlreadyEncryptedError} If pdfDoc was loaded from an encrypted PDF
+ * @throws {SignedDocumentError} If pdfDoc is signed and onSignedDocument is 'error'
+ * 
+ * @example
+ * const pdfDoc = await PDFDocument.create();
+ * pdfDoc.addPage().drawText('Quarterly figures');
+ * const encrypted = await encryptPDFDocument(pdfDoc, { userPassword: 'secret123', algorithm: 'aes-256' });
+ */
+export async function encryptPDFDocument(pdfDoc, options) {
+  let signal = null;
+  const journal = new ChangeJournal();
+  try {
+    // Duck-typed, so a document from another copy of pdf-lib works too
+    if (!pdfDoc || !pdfDoc.context || typeof pdfDoc.flush !== 'function') {
+      throw new InvalidOptionError('pdfDoc must be a pdf-lib PDFDocument');
+    }
+    const settings = resolveEncryptOptions(options, { ...DEFAULT_OPTIONS, ...DOCUMENT_OPTIONS });
+    for (const name of Object.keys(DOCUMENT_OPTIONS)) {
+      if (typeof settings[name] !== 'boolean') {
+        throw new InvalidOptionError(`${name} must be true or false`);
       }
-      
-      // Encrypt strings in the object
-      encryptStringsInObject(obj, objectNum, generationNum, encryptionKey);
     }
+    signal = settings.signal;
+    const progress = new ProgressReporter(settings.onProgress, signal);
     
-    // Create the /Encrypt dictionary
-    const encryptDict = context.obj({
-      Filter: PDFName.of('Standard'),
-      V: PDFNumber.of(2),        // Version 2 (RC4)
-      R: PDFNumber.of(3),        // Revision 3 (128-bit)
-      Length: PDFNumber.of(128),  // Key length in bits
-      P: PDFNumber.of(permissions),
-      O: PDFHexString.of(bytesToHex(ownerKey)),
-      U: PDFHexString.of(bytesToHex(userKey))
-    });
+    const provider = await resolveCryptoProvider(settings.crypto, settings.allowInsecureRandom, settings.random);
     
-    // Register the encrypt dictionary
-    const encryptRef = context.register(encryptDict);
+    // A document loaded with ignoreEncryption can't even be prepared for saving
+    if (pdfDoc.context.trailerInfo.Encrypt) {
+      throw new AlreadyEncryptedError();
+    }
     
-    // Update trailer
-    trailer.Encrypt = encryptRef;
+    // What pdfDoc.save() does before writing; these changes are kept, as with save()
+    if (settings.addDefaultPage && pdfDoc.getPageCount() === 0) {
+      pdfDoc.addPage();
+    }
+    if (settings.updateFieldAppearances) {
+      // getForm() would create an AcroForm, so only update a form that is already in use
+      const form = pdfDoc.formCache.getValue();
+      if (form) form.updateFieldAppearances();
+    }
+    await pdfDoc.flush();
     
-    // Save the encrypted PDF
-    const encryptedBytes = await pdfDoc.save({
-      useObjectStreams: false // Don't use object streams with encryption
-    });
+    prepareForEncryption(pdfDoc, settings, journal);
+    const encrypted = await encryptWithPasswords(provider, pdfDoc, settings, progress, journal);
     
-    return encryptedBytes;
+    // A stream still reads the encrypted objects; it restores the document when it closes
+    if (settings.output !== 'stream') {
+      journal.rollback();
+    }
+    return encrypted;
     
   } catch (error) {
-    console.error('PDF encryption error:', error);
-    throw new Error(`Failed to encrypt PDF: ${error.message}`);
+    journal.rollback();
+    throw toPDFEncryptError(error, 'Failed to encrypt PDF', signal);
   }
 }
 
 /**
  * Encrypted with ❤️ by PDFSmaller.com
  * Try our free PDF tools at https://pdfsmaller.com
- */
\ No newline at end of file
+ */
@@ -0,0 +1,134 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Progress reporting and cancellation for long-running encryption.
+ * Work is split into phases ('load', 'encrypt', 'save'); between batches the
+ * reporter calls onProgress, checks the AbortSignal and yields to the event
+ * loop, so a progress bar can repaint and a cancel button can be clicked.
+ */
+
+import { InvalidOptionError } from './errors.js';
+
+// Report and yield after this many objects...
+const OBJECTS_PER_REPORT = 50;
+
+// ...or after this many bytes, so one huge image stream doesn't stall the bar
+const BYTES_PER_REPORT = 1024 * 1024;
+
+/**
+ * The error to throw for an aborted signal: its reason, or a generic AbortError
+ */
+export function abortError(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check that onProgress and signal options have the right shape
+ * @throws {InvalidOptionError} If either is malformed
+ */
+export function validateProgressOptions(onProgress, signal) {
+  if (onProgress !== null && typeof onProgress !== 'function') {
+    throw new InvalidOptionError('onProgress must be a function');
+  }
+  if (signal !== null && (typeof signal !== 'object' || typeof signal.aborted !== 'boolean')) {
+    throw new InvalidOptionError('signal must be an AbortSignal');
+  }
+}
+
+/**
+ * Tracks how far an operation has got and reports it
+ * Both onProgress and signal are optional; without them it only yields
+ */
+export class ProgressReporter {
+  constructor(onProgress = null, signal = null) {
+    this.onProgress = onProgress;
+    this.signal = signal;
+    this.phase = null;
+    this.objectsDone = 0;
+    this.objectsTotal = 0;
+    this.bytesDone = 0;
+    this.pendingObjects = 0;
+    this.pendingBytes = 0;
+  }
+  
+  /**
+   * Throw if the operation has been cancelled
+   */
+  throwIfAborted() {
+    if (this.signal && this.signal.aborted) {
+      throw abortError(this.signal);
+    }
+  }
+  
+  /**
+   * Call onProgress with the current counts
+   */
+  report() {
+    this.pendingObjects = 0;
+    this.pendingBytes = 0;
+    if (this.onProgress) {
+      this.onProgress({
+        phase: this.phase,
+        objectsDone: this.objectsDone,
+        objectsTotal: this.objectsTotal,
+        bytesDone: this.bytesDone
+      });
+    }
+  }
+  
+  /**
+   * Enter a new phase with fresh counts and report it
+   * @param {string} phase - 'load', 'encrypt' or 'save'
+   * @param {number} [objectsTotal=0] - Objects the phase will go through, if known
+   */
+  start(phase, objectsTotal = 0) {
+    this.throwIfAborted();
+    this.phase = phase;
+    this.objectsDone = 0;
+    this.objectsTotal = objectsTotal;
+    this.bytesDone = 0;
+    this.report();
+  }
+  
+  /**
+   * Count finished work; every batch reports, checks for cancellation and
+   * yields to the event loop
+   * @param {number} [objects=1] - Objects finished
+   * @param {number} [bytes=0] - Bytes finished
+   */
+  async advance(objects = 1, bytes = 0) {
+    this.objectsDone += objects;
+    this.bytesDone += bytes;
+    this.pendingObjects += objects;
+    this.pendingBytes += bytes;
+    
+    if (this.pendingObjects >= OBJECTS_PER_REPORT || this.pendingBytes >= BYTES_PER_REPORT) {
+      this.report();
+      await waitForTick();
+      this.throwIfAborted();
+    }
+  }
+  
+  /**
+   * Report the end of the current phase
+   */
+  finish() {
+    this.throwIfAborted();
+    this.report();
+  }
+}
+
+/**
+ * Yield to the event loop, like pdf-lib does between batches of objects
+ */
+export function waitForTick() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
@@ -0,0 +1,521 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Public-key security handler (/Adobe.PubSec, /adbe.pkcs7.s5, PDF spec 7.6.5)
+ * Instead of passwords, the file key seed is sealed for each recipient's
+ * X.509 certificate in a PKCS#7 EnvelopedData object. Only what that needs is
+ * here: a small DER reader/writer, RSA PKCS#1 v1.5 key transport and AES-256-CBC
+ * content encryption. Objects are encrypted exactly as with the Standard handler.
+ */
+
+import { PDFName, PDFNumber, PDFHexString, PDFBool } from 'pdf-lib';
+import { InvalidOptionError, toPDFEncryptError } from './errors.js';
+import {
+  computePermissions,
+  decodePermissions,
+  concatBytes,
+  loadForEncryption,
+  ensureFileId,
+  encryptDocument,
+  validateOutputOptions,
+  startReport
+} from './pdf-encrypt.js';
+import { resolveCryptoProvider } from './crypto-provider.js';
+import { ProgressReporter } from './progress.js';
+import { bytesToHex } from './crypto-minimal.js';
+
+// Public-key handler parameters for each supported algorithm
+// The file key is a SHA-1 (AES-128) or SHA-256 (AES-256) digest of the seed and recipients
+const PUBSEC_ALGORITHMS = {
+  'aes-128': { V: 4, keyLength: 16, cfm: 'AESV2', digest: 'sha1' },
+  'aes-256': { V: 5, keyLength: 32, cfm: 'AESV3', digest: 'sha256', pdfVersion: '2.0' }
+};
+
+// Object identifiers used in the certificates and envelopes
+const OID_RSA_ENCRYPTION = '1.2.840.113549.1.1.1';
+const OID_DATA = '1.2.840.113549.1.7.1';
+const OID_ENVELOPED_DATA = '1.2.840.113549.1.7.3';
+const OID_AES256_CBC = '2.16.840.1.101.3.4.1.42';
+
+// DER tags
+const INTEGER = 0x02;
+const BIT_STRING = 0x03;
+const OCTET_STRING = 0x04;
+const NULL = 0x05;
+const OBJECT_IDENTIFIER = 0x06;
+const SEQUENCE = 0x30;
+const SET = 0x31;
+const CONTEXT_0 = 0xA0;            // [0] constructed (explicit)
+const CONTEXT_0_PRIMITIVE = 0x80;  // [0] primitive (implicit OCTET STRING)
+
+// Length of the seed the file key is derived from
+const SEED_LENGTH = 20;
+
+/**
+ * Read one DER element
+ * @returns {{ tag: number, offset: number, start: number, end: number }} - offset is where
+ *   the element begins, start..end is its content
+ */
+function readDER(bytes, offset = 0) {
+  if (offset + 2 > bytes.length) {
+    throw new Error('Truncated DER data');
+  }
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  
+  if (length & 0x80) {
+    const count = length & 0x7F;
+    if (count === 0 || count > 4) {
+      throw new Error('Unsupported DER length');
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[start + i];
+    }
+    start += count;
+  }
+  
+  const end = start + length;
+  if (end > bytes.length) {
+    throw new Error('Truncated DER data');
+  }
+  return { tag, offset, start, end };
+}
+
+/**
+ * Read the elements inside a constructed DER element
+ */
+function readChildren(bytes, node) {
+  const children = [];
+  for (let offset = node.start; offset < node.end;) {
+    const child = readDER(bytes, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+/**
+ * Encode a DER element from its tag and content parts
+ */
+function encodeDER(tag, ...parts) {
+  const content = concatBytes(...parts);
+  const length = content.length;
+  let header;
+  
+  if (length < 0x80) {
+    header = [tag, length];
+  } else {
+    const lengthBytes = [];
+    for (let n = length; n > 0; n = Math.floor(n / 256)) {
+      lengthBytes.unshift(n & 0xFF);
+    }
+    header = [tag, 0x80 | lengthBytes.length, ...lengthBytes];
+  }
+  
+  return concatBytes(new Uint8Array(header), content);
+}
+
+/**
+ * Encode a dotted object identifier as a DER OBJECT IDENTIFIER
+ */
+function encodeOID(oid) {
+  const arcs = oid.split('.').map(Number);
+  const bytes = [40 * arcs[0] + arcs[1]];
+  
+  for (const arc of arcs.slice(2)) {
+    const base128 = [arc & 0x7F];
+    for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) {
+      base128.unshift(0x80 | (n & 0x7F));
+    }
+    bytes.push(...base128);
+  }
+  
+  return encodeDER(OBJECT_IDENTIFIER, new Uint8Array(bytes));
+}
+
+/**
+ * Compare two byte arrays (for ordering DER SET OF elements)
+ */
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+function bytesEqual(a, b) {
+  return compareBytes(a, b) === 0;
+}
+
+function bytesToBigInt(bytes) {
+  return bytes.length === 0 ? 0n : BigInt('0x' + bytesToHex(bytes));
+}
+
+/**
+ * Big-endian bytes of a non-negative integer, left-padded to length
+ */
+function bigIntToBytes(value, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xFFn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Modular exponentiation (square and multiply)
+ */
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Turn a PEM string or DER bytes into DER bytes
+ */
+function certificateBytes(certificate) {
+  if (certificate instanceof ArrayBuffer) {
+    return new Uint8Array(certificate);
+  }
+  if (certificate instanceof Uint8Array) {
+    return certificate;
+  }
+  if (typeof certificate === 'string') {
+    const match = /-----BEGIN CERTIFICATE-----([\s\S]*?)-----END CERTIFICATE-----/.exec(certificate);
+    if (!match) {
+      throw new Error('PEM data has no CERTIFICATE block');
+    }
+    if (typeof atob === 'undefined') {
+      throw new Error('PEM certificates need atob (browsers, Workers, Deno, Node.js 16+); pass DER bytes instead');
+    }
+    const binary = atob(match[1].replace(/\s+/g, ''));
+    return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+  }
+  throw new Error('certificate must be a PEM string or DER bytes');
+}
+
+/**
+ * Extract what an envelope needs from an X.509 certificate:
+ * the issuer and serial number that identify it, and its RSA public key
+ * @param {string|Uint8Array|ArrayBuffer} certificate - PEM or DER certificate
+ * @returns {{ issuer: Uint8Array, serialNumber: Uint8Array, modulus: bigint, exponent: bigint, modulusLength: number }}
+ */
+export function parseCertificate(certificate) {
+  const der = certificateBytes(certificate);
+  const cert = readDER(der);
+  if (cert.tag !== SEQUENCE) {
+    throw new Error('Not an X.509 certificate');
+  }
+  
+  const tbsCertificate = readChildren(der, cert)[0];
+  const fields = readChildren(der, tbsCertificate);
+  
+  // version is optional ([0] EXPLICIT), then serialNumber, signature, issuer, validity, subject, subjectPublicKeyInfo
+  const first = fields[0] && fields[0].tag === CONTEXT_0 ? 1 : 0;
+  const serialNumber = fields[first];
+  const issuer = fields[first + 2];
+  const subjectPublicKeyInfo = fields[first + 5];
+  if (!subjectPublicKeyInfo || serialNumber.tag !== INTEGER || issuer.tag !== SEQUENCE) {
+    throw new Error('Not an X.509 certificate');
+  }
+  
+  const [algorithm, publicKey] = readChildren(der, subjectPublicKeyInfo);
+  const algorithmOID = readChildren(der, algorithm)[0];
+  if (!bytesEqual(der.subarray(algorithmOID.offset, algorithmOID.end), encodeOID(OID_RSA_ENCRYPTION))) {
+    throw new Error('Only RSA certificates are supported');
+  }
+  if (publicKey.tag !== BIT_STRING) {
+    throw new Error('Malformed RSA public key');
+  }
+  
+  // BIT STRING: one byte of unused bits, then RSAPublicKey ::= SEQUENCE { modulus, publicExponent }
+  const rsaPublicKey = readDER(der, publicKey.start + 1);
+  const [modulus, exponent] = readChildren(der, rsaPublicKey);
+  const modulusValue = bytesToBigInt(der.subarray(modulus.start, modulus.end));
+  
+  return {
+    issuer: der.slice(issuer.offset, issuer.end),
+    serialNumber: der.slice(serialNumber.offset, serialNumber.end),
+    modulus: modulusValue,
+    exponent: bytesToBigInt(der.subarray(exponent.start, exponent.end)),
+    modulusLength: Math.ceil(modulusValue.toString(16).length / 2)
+  };
+}
+
+/**
+ * RSA encryption with PKCS#1 v1.5 padding (RFC 8017, 7.2.1)
+ * This is the key transport Acrobat uses for adbe.pkcs7.s5 recipients
+ */
+async function rsaEncryptPKCS1(provider, publicKey, message) {
+  const k = publicKey.modulusLength;
+  const psLength = k - message.length - 3;
+  if (psLength < 8) {
+    throw new Error('RSA key is too short');
+  }
+  
+  // EM = 0x00 || 0x02 || PS (non-zero random bytes) || 0x00 || M
+  const ps = await provider.randomBytes(psLength);
+  for (let i = 0; i < psLength; i++) {
+    // Bounded, so a broken (e.g. all-zero) random source fails instead of hanging
+    for (let attempt = 0; ps[i] === 0; attempt++) {
+      if (attempt === 100) {
+        throw new Error('Random source keeps returning zero bytes');
+      }
+      ps[i] = (await provider.randomBytes(1))[0];
+    }
+  }
+  const em = concatBytes(new Uint8Array([0x00, 0x02]), ps, new Uint8Array([0x00]), message);
+  
+  const c = modPow(bytesToBigInt(em), publicKey.exponent, publicKey.modulus);
+  return bigIntToBytes(c, k);
+}
+
+/**
+ * Seal content for a group of recipients as a PKCS#7 (CMS) EnvelopedData object
+ * The content is AES-256-CBC encrypted with a random key, and that key is
+ * RSA-encrypted for each certificate
+ * @returns {Uint8Array} - DER-encoded ContentInfo
+ */
+async function buildEnvelope(provider, publicKeys, content) {
+  const contentKey = await provider.randomBytes(32);
+  const iv = await provider.randomBytes(16);
+  const version = encodeDER(INTEGER, new Uint8Array([0]));
+  
+  // KeyTransRecipientInfo, identified by issuer and serial number
+  const recipientInfos = [];
+  for (const publicKey of publicKeys) {
+    recipientInfos.push(encodeDER(SEQUENCE,
+      version,
+      encodeDER(SEQUENCE, publicKey.issuer, publicKey.serialNumber),
+      encodeDER(SEQUENCE, encodeOID(OID_RSA_ENCRYPTION), encodeDER(NULL)),
+      encodeDER(OCTET_STRING, await rsaEncryptPKCS1(provider, publicKey, contentKey))
+    ));
+  }
+  
+  // DER sorts the elements of a SET OF
+  recipientInfos.sort(compareBytes);
+  
+  const encryptedContentInfo = encodeDER(SEQUENCE,
+    encodeOID(OID_DATA),
+    encodeDER(SEQUENCE, encodeOID(OID_AES256_CBC), encodeDER(OCTET_STRING, iv)),
+    encodeDER(CONTEXT_0_PRIMITIVE, await provider.aesEncryptCBC(contentKey, content, iv))
+  );
+  
+  const envelopedData = encodeDER(SEQUENCE,
+    version,
+    encodeDER(SET, ...recipientInfos),
+    encryptedContentInfo
+  );
+  
+  return encodeDER(SEQUENCE, encodeOID(OID_ENVELOPED_DATA), encodeDER(CONTEXT_0, envelopedData));
+}
+
+// Default options for encryptPDFForRecipients
+const RECIPIENT_DEFAULT_OPTIONS = {
+  algorithm: 'aes-256',
+  onSignedDocument: 'warn',
+  useObjectStreams: false,
+  compressStreams: false,
+  encryptMetadata: true,
+  crypto: null,
+  allowInsecureRandom: false,
+  fileId: null,
+  random: null,
+  onProgress: null,
+  signal: null,
+  output: 'uint8array',
+  onWarning: null,
+  report: false
+};
+
+/**
+ * Validate encryptPDFForRecipients options and fill in defaults
+ */
+function resolveRecipientOptions(options) {
+  if (!options || typeof options !== 'object') {
+    throw new InvalidOptionError('Options must be an object');
+  }
+  for (const name of Object.keys(options)) {
+    if (!(name in RECIPIENT_DEFAULT_OPTIONS)) {
+      throw new InvalidOptionError(`Unknown option: ${name}`);
+    }
+  }
+  
+  const settings = { ...RECIPIENT_DEFAULT_OPTIONS };
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined) settings[name] = value;
+  }
+  
+  const handler = PUBSEC_ALGORITHMS[settings.algorithm];
+  if (!handler) {
+    throw new InvalidOptionError(`Unsupported encryption algorithm for recipients: ${settings.algorithm} (expected ${Object.keys(PUBSEC_ALGORITHMS).join(', ')})`);
+  }
+  
+  validateOutputOptions(settings, handler);
+  
+  settings.handler = handler;
+  settings.encryptTarget = 'all';
+  startReport(settings);
+  return settings;
+}
+
+/**
+ * Parse recipients and group them by permissions
+ * Recipients with the same permissions share one envelope (spec 7.6.5.2)
+ * @returns {Map<number, Array>} - Public keys per /P value, in recipient order
+ */
+function resolveRecipients(recipients) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new InvalidOptionError('recipients must be a non-empty array');
+  }
+  
+  const groups = new Map();
+  recipients.forEach((recipient, index) => {
+    // A bare certificate gets every permission
+    const { certificate, permissions } = recipient && typeof recipient === 'object' &&
+      !(recipient instanceof Uint8Array) && !(recipient instanceof ArrayBuffer)
+      ? recipient
+      : { certificate: recipient };
+    
+    let publicKey, flags;
+    try {
+      publicKey = parseCertificate(certificate);
+      if (permissions !== undefined && (permissions === null || typeof permissions !== 'object')) {
+        throw new InvalidOptionError('permissions must be an object');
+      }
+      flags = computePermissions(permissions);
+    } catch (error) {
+      throw new InvalidOptionError(`Recipient ${index}: ${error.message}`, { cause: error });
+    }
+    
+    if (!groups.has(flags)) groups.set(flags, []);
+    groups.get(flags).push(publicKey);
+  });
+  
+  return groups;
+}
+
+/**
+ * Encrypt a PDF for a list of certificate holders (public-key security handler)
+ * 
+ * Each recipient opens the file with the private key of their certificate,
+ * and gets the permissions given to them - no passwords involved.
+ * Same object-level encryption as encryptPDF; this is PDFSmaller.com's implementation
+ * of the /Adobe.PubSec handler with the adbe.pkcs7.s5 sub-filter.
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfBytes - The PDF file
+ *   (anything encryptPDF accepts)
+ * @param {Array<string|Uint8Array|Object>} recipients - X.509 certificates (PEM string or DER
+ *   bytes), or { certificate, permissions } objects. Permissions work as in encryptPDF;
+ *   a bare certificate gets every permission. Only RSA certificates are supported
+ * @param {Object} [options] - Encryption options
+ * @param {'aes-128'|'aes-256'} [options.algorithm='aes-256'] - Encryption algorithm
+ *   (file key derived with SHA-1 or SHA-256)
+ * @param {'error'|'warn'|'strip'} [options.onSignedDocument='warn'] - Signed input policy
+ * @param {boolean} [options.useObjectStreams=false] - Pack objects into encrypted object streams
+ * @param {boolean} [options.compressStreams=false] - Flate-encode uncompressed streams first
+ * @param {boolean} [options.encryptMetadata=true] - Set to false to leave XMP metadata readable
+ * @param {Object} [options.crypto] - Crypto provider for this call (see setCryptoProvider)
+ * @param {boolean} [options.allowInsecureRandom=false] - Accept Math.random() for the seed and keys
+ * @param {Uint8Array} [options.fileId] - Trailer /ID, as in encryptPDF
+ * @param {Function} [options.random] - Source of every random value, as in encryptPDF
+ * @param {Function} [options.onProgress] - Progress callback, as in encryptPDF
+ * @param {AbortSignal} [options.signal] - Cancels the operation
+ * @param {'uint8array'|'blob'|'arraybuffer'|'stream'|'base64'} [options.output='uint8array'] - Output
+ *   type, as in encryptPDF
+ * @param {Function} [options.onWarning] - Receives non-fatal issues, as in encryptPDF
+ * @param {boolean} [options.report=false] - Resolve to { bytes, report }, as in encryptPDF;
+ *   the report lists the permission groups under recipients instead of permissions
+ * @returns {Promise<Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>|Object>} - The
+ *   encrypted PDF, or { bytes, report }
+ * @throws {InvalidOptionError} If an option or certificate is unusable
+ * @throws {InvalidPDFError} If pdfBytes can't be parsed as a PDF
+ * @throws {AlreadyEncryptedError} If the PDF is already encrypted
+ * @throws {SignedDocumentError} If the PDF is signed and onSignedDocument is 'error'
+ */
+export async function encryptPDFForRecipients(pdfBytes, recipients, options = {}) {
+  let signal = null;
+  try {
+    const settings = resolveRecipientOptions(options);
+    const { handler, encryptMetadata } = settings;
+    const groups = resolveRecipients(recipients);
+    signal = settings.signal;
+    const progress = new ProgressReporter(settings.onProgress, signal);
+    const provider = await resolveCryptoProvider(settings.crypto, settings.allowInsecureRandom, settings.random);
+    
+    const pdfDoc = await loadForEncryption(pdfBytes, settings, progress);
+    const context = pdfDoc.context;
+    
+    // The file ID is not part of the key here, but readers expect one
+    await ensureFileId(provider, context, settings.fileId);
+    
+    // Every envelope carries the same seed, followed by that group's permissions (big-endian)
+    const seed = await provider.randomBytes(SEED_LENGTH);
+    const envelopes = [];
+    for (const [flags, publicKeys] of groups) {
+      const content = new Uint8Array(SEED_LENGTH + 4);
+      content.set(seed);
+      new DataView(content.buffer).setInt32(SEED_LENGTH, flags);
+      envelopes.push(await buildEnvelope(provider, publicKeys, content));
+    }
+    
+    // File key: digest of seed || every envelope || 0xFFFFFFFF when metadata is left clear
+    const digestInput = concatBytes(
+      seed,
+      ...envelopes,
+      encryptMetadata ? new Uint8Array(0) : new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF])
+    );
+    const digest = await provider[handler.digest](digestInput);
+    const encryptionKey = digest.slice(0, handler.keyLength);
+    
+    // Create the /Encrypt dictionary; the recipients live in the crypt filter
+    const cryptFilter = context.obj({
+      Type: PDFName.of('CryptFilter'),
+      CFM: PDFName.of(handler.cfm),
+      AuthEvent: PDFName.of('DocOpen'),
+      Length: PDFNumber.of(handler.keyLength),
+      Recipients: envelopes.map((envelope) => PDFHexString.of(bytesToHex(envelope)))
+    });
+    if (!encryptMetadata) {
+      cryptFilter.set(PDFName.of('EncryptMetadata'), PDFBool.False);
+    }
+    
+    // One envelope per set of permissions, each shared by its recipients
+    settings.collector.describe({
+      recipients: [...groups].map(([flags, publicKeys]) => ({
+        count: publicKeys.length,
+        permissions: decodePermissions(flags),
+        permissionFlags: flags
+      }))
+    });
+    
+    const encryptDict = context.obj({
+      Filter: PDFName.of('Adobe.PubSec'),
+      SubFilter: PDFName.of('adbe.pkcs7.s5'),
+      V: PDFNumber.of(handler.V),
+      Length: PDFNumber.of(handler.keyLength * 8),
+      CF: { DefaultCryptFilter: cryptFilter },
+      StmF: PDFName.of('DefaultCryptFilter'),
+      StrF: PDFName.of('DefaultCryptFilter')
+    });
+    
+    return await encryptDocument(provider, pdfDoc, encryptDict, encryptionKey, settings, progress);
+    
+  } catch (error) {
+    throw toPDFEncryptError(error, 'Failed to encrypt PDF', signal);
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Encryption report: a record of what encryption did to a file, for audit logs.
+ * With report: true, the encrypt functions count the streams and strings they
+ * encrypt per kind of object, note every object they leave in the clear and why,
+ * and keep the warnings; they then resolve to { bytes, report }.
+ */
+
+import { PDFName, PDFDict, PDFArray, PDFRef, PDFRawStream, PDFString, PDFHexString } from 'pdf-lib';
+import { emitWarning } from './errors.js';
+import { isStreamOfType } from './object-streams.js';
+
+// Kinds of object the report counts separately
+const OBJECT_KINDS = ['content', 'image', 'font', 'xmp', 'embeddedFile', 'other'];
+
+// Font descriptor entries that hold embedded font programs
+const FONT_FILE_KEYS = ['FontFile', 'FontFile2', 'FontFile3'];
+
+/**
+ * Add the references held by a /Contents-style entry (a reference or an array of them)
+ */
+function addRefs(refs, value) {
+  if (value instanceof PDFRef) {
+    refs.add(value);
+  } else if (value instanceof PDFArray) {
+    for (let i = 0; i < value.size(); i++) {
+      if (value.get(i) instanceof PDFRef) refs.add(value.get(i));
+    }
+  }
+}
+
+/**
+ * Count the strings in an object, which an object stream encrypts along with it
+ */
+function stringsIn(obj) {
+  if (obj instanceof PDFString || obj instanceof PDFHexString) return 1;
+  let count = 0;
+  if (obj instanceof PDFDict) {
+    for (const [, value] of obj.entries()) count += stringsIn(value);
+  } else if (obj instanceof PDFArray) {
+    for (let i = 0; i < obj.size(); i++) count += stringsIn(obj.get(i));
+  }
+  return count;
+}
+
+/**
+ * Collects the report while a document is encrypted
+ * A collector that isn't recording ignores everything, like a ChangeJournal that
+ * doesn't record, so the encryption code can report unconditionally
+ */
+export class ReportCollector {
+  /**
+   * @param {boolean} recording - The report option
+   * @param {Function|null} onWarning - The caller's onWarning option; while recording,
+   *   use collector.onWarning instead, which also keeps the warnings for the report
+   */
+  constructor(recording = false, onWarning = null) {
+    this.recording = recording;
+    this.security = {};
+    this.objects = {};
+    for (const kind of OBJECT_KINDS) {
+      this.objects[kind] = { streams: 0, strings: 0 };
+    }
+    this.packedObjects = 0;
+    this.skipped = [];
+    this.skippedRefs = new Set();
+    this.warnings = [];
+    this.inputSize = null;
+    this.contentRefs = new Set();
+    this.fontRefs = new Set();
+    this.embeddedFiles = new Set();
+    
+    this.onWarning = recording
+      ? (warning) => {
+        this.warnings.push(warning);
+        const { code, message, ...details } = warning;
+        emitWarning(onWarning, code, message, details);
+      }
+      : onWarning;
+  }
+  
+  /**
+   * Find the objects whose kind shows only in what refers to them:
+   * page content streams, embedded font programs and ToUnicode maps, attachments
+   * @param {PDFContext} context - The document about to be encrypted
+   * @param {Set<PDFRef>} embeddedFiles - From findEmbeddedFiles
+   */
+  prepare(context, embeddedFiles) {
+    if (!this.recording) return;
+    this.embeddedFiles = embeddedFiles;
+    for (const [, obj] of context.enumerateIndirectObjects()) {
+      const dict = obj instanceof PDFRawStream ? obj.dict : obj;
+      if (!(dict instanceof PDFDict)) continue;
+      const type = dict.get(PDFName.of('Type'));
+      if (type === PDFName.of('Page')) {
+        addRefs(this.contentRefs, dict.get(PDFName.of('Contents')));
+      } else if (type === PDFName.of('FontDescriptor')) {
+        for (const key of FONT_FILE_KEYS) addRefs(this.fontRefs, dict.get(PDFName.of(key)));
+      } else if (type === PDFName.of('Font')) {
+        addRefs(this.fontRefs, dict.get(PDFName.of('ToUnicode')));
+      }
+    }
+  }
+  
+  /**
+   * The kind of an indirect object, as counted in the report
+   * @returns {'content'|'image'|'font'|'xmp'|'embeddedFile'|'other'}
+   */
+  kindOf(ref, obj) {
+    if (this.embeddedFiles.has(ref)) return 'embeddedFile';
+    if (isStreamOfType(obj, 'Metadata')) return 'xmp';
+    if (this.contentRefs.has(ref)) return 'content';
+    if (this.fontRefs.has(ref)) return 'font';
+    
+    const dict = obj instanceof PDFRawStream ? obj.dict : obj;
+    if (!(dict instanceof PDFDict)) return 'other';
+    const type = dict.get(PDFName.of('Type'));
+    const subtype = dict.get(PDFName.of('Subtype'));
+    if (subtype === PDFName.of('Image')) return 'image';
+    if (subtype === PDFName.of('Form') && obj instanceof PDFRawStream) return 'content';
+    if (type === PDFName.of('Font') || type === PDFName.of('FontDescriptor')) return 'font';
+    return 'other';
+  }
+  
+  /**
+   * Record what protects the file: algorithm, handler, key length, permissions
+   */
+  describe(security) {
+    if (this.recording) Object.assign(this.security, security);
+  }
+  
+  /**
+   * Count an encrypted stream
+   */
+  countStream(ref, obj) {
+    if (this.recording) this.objects[this.kindOf(ref, obj)].streams++;
+  }
+  
+  /**
+   * Count the strings encrypted in an object
+   */
+  countStrings(ref, obj, count) {
+    if (this.recording && count > 0) this.objects[this.kindOf(ref, obj)].strings += count;
+  }
+  
+  /**
+   * Count an object encrypted as part of its object stream, and the strings in it
+   * Objects packed but left in the clear (attachments-only encryption) aren't counted
+   */
+  countPacked(ref, obj) {
+    if (!this.recording || this.skippedRefs.has(ref)) return;
+    this.packedObjects++;
+    this.objects[this.kindOf(ref, obj)].strings += stringsIn(obj);
+  }
+  
+  /**
+   * Note an object (or part of one) left in the clear
+   * @param {PDFRef} ref - The object
+   * @param {string} reason - 'encrypt-dictionary', 'xref-stream', 'signature-contents',
+   *   'unencrypted-metadata' or 'not-an-embedded-file'
+   */
+  skip(ref, reason) {
+    if (this.recording) {
+      this.skippedRefs.add(ref);
+      this.skipped.push({ objectNumber: ref.objectNumber, generationNumber: ref.generationNumber || 0, reason });
+    }
+  }
+  
+  /**
+   * The finished report
+   * @param {number} outputSize - Size of the encrypted file in bytes
+   */
+  build(outputSize) {
+    // What protects the file first, whichever order it was described in
+    const { algorithm, filter, V, R, keyLength } = this.security;
+    return {
+      algorithm,
+      filter,
+      V,
+      R,
+      keyLength,
+      ...this.security,
+      objects: this.objects,
+      packedObjects: this.packedObjects,
+      skipped: this.skipped,
+      warnings: this.warnings,
+      inputSize: this.inputSize,
+      outputSize
+    };
+  }
+}
@@ -0,0 +1,479 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * Encryption off the main thread. A small pool of dedicated workers (Web Workers
+ * in browsers, worker_threads in Node.js) runs encryptPDF, so a 30 MB file doesn't
+ * freeze the page. The PDF goes in and comes back as a transferred buffer, not a
+ * copy; progress, warnings and cancellation are relayed across the boundary.
+ * The worker side is encryption-worker.js.
+ */
+
+import { PDFEncryptError, InvalidPDFError, InvalidOptionError, AlreadyEncryptedError, NotEncryptedError, WrongPasswordError, UnsupportedEncryptionError, UnsupportedEnvironmentError, SignedDocumentError, emitWarning } from './errors.js';
+import { validateProgressOptions, abortError } from './progress.js';
+import { readPDFInput, validateOutputType, convertOutput } from './io.js';
+
+// Every option createEncryptionWorker understands, with its default
+const POOL_DEFAULT_OPTIONS = {
+  size: null,
+  workerURL: null
+};
+
+// Largest pool picked without a size option; each busy worker holds a whole PDF in memory
+const MAX_DEFAULT_POOL_SIZE = 4;
+
+// Error classes a worker can send back, by name (SignedDocumentError and
+// PDFEncryptError itself take different constructor arguments)
+const ERROR_CLASSES = {
+  InvalidPDFError,
+  InvalidOptionError,
+  AlreadyEncryptedError,
+  NotEncryptedError,
+  WrongPasswordError,
+  UnsupportedEncryptionError,
+  UnsupportedEnvironmentError
+};
+
+// Pool behind encryptPDFInWorker, created on first use
+let sharedPool = null;
+
+/**
+ * Load node:worker_threads when running on Node.js
+ * The specifier is a variable so browser bundlers don't try to resolve it
+ * @returns {Promise<Object|null>} - The module, or null outside Node.js
+ */
+export async function loadWorkerThreads() {
+  const proc = globalThis.process;
+  if (!proc || !proc.versions || !proc.versions.node) return null;
+  
+  if (typeof proc.getBuiltinModule === 'function') {
+    return proc.getBuiltinModule('node:worker_threads');
+  }
+  const specifier = 'node:worker_threads';
+  return await import(specifier);
+}
+
+/**
+ * Pool size for this machine: one core is left to the page, or the event loop
+ */
+function defaultPoolSize() {
+  const cores = globalThis.navigator && globalThis.navigator.hardwareConcurrency;
+  if (!cores) return 2;
+  return Math.min(MAX_DEFAULT_POOL_SIZE, Math.max(1, cores - 1));
+}
+
+/**
+ * Start a worker and wrap it in the small interface the pool uses, the same on
+ * both platforms: post(message, transfer), listen(onMessage, onFailure),
+ * setBusy(busy) and terminate()
+ * @param {Object|null} workerThreads - node:worker_threads, or null for Web Workers
+ * @param {string|URL|null} workerURL - Worker script, or null for the bundled one
+ */
+function spawnWorker(workerThreads, workerURL) {
+  if (workerThreads) {
+    const worker = new workerThreads.Worker(workerURL || new URL('./encryption-worker.js', import.meta.url));
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      listen: (onMessage, onFailure) => {
+        worker.on('message', onMessage);
+        worker.on('error', onFailure);
+        worker.on('exit', (code) => onFailure(new Error(`Worker exited with code ${code}`)));
+      },
+      // An idle worker doesn't keep the process alive
+      setBusy: (busy) => (busy ? worker.ref() : worker.unref()),
+      terminate: () => worker.terminate()
+    };
+  }
+  
+  // Written out in full so bundlers (webpack 5, Vite, Parcel) find and bundle the worker script
+  const worker = workerURL
+    ? new Worker(workerURL, { type: 'module' })
+    : new Worker(new URL('./encryption-worker.js', import.meta.url), { type: 'module' });
+  return {
+    post: (message, transfer) => worker.postMessage(message, transfer),
+    listen: (onMessage, onFailure) => {
+      worker.addEventListener('message', (event) => onMessage(event.data));
+      worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        onFailure(event.error || new Error(event.message || 'Worker script failed to load'));
+      });
+    },
+    setBusy: () => {},
+    terminate: () => worker.terminate()
+  };
+}
+
+/**
+ * Turn an error a worker sent back into the error class it was thrown as
+ */
+function reviveError(data) {
+  let error;
+  if (data.code === undefined) {
+    // A cancellation: keep its name, so isAbortError-style checks still work
+    error = new Error(data.message);
+    error.name = data.name;
+    return error;
+  }
+  
+  if (data.name === 'SignedDocumentError') {
+    error = new SignedDocumentError(data.signatureCount);
+  } else if (ERROR_CLASSES[data.name]) {
+    error = new ERROR_CLASSES[data.name](data.message);
+  } else {
+    error = new PDFEncryptError(data.message, data.code);
+  }
+  if (data.cause) {
+    // Name and message only; the stack stays in the worker
+    error.cause = new Error(data.cause.message);
+    error.cause.name = data.cause.name;
+  }
+  return error;
+}
+
+/**
+ * The error for jobs still waiting or running when the pool is terminated
+ */
+function terminatedError() {
+  const error = new Error('The encryption worker pool was terminated');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Validate the options of one pool job
+ * Callbacks, the signal and the output type stay on this thread; everything else
+ * goes to encryptPDF in the worker, which validates it there
+ * @throws {InvalidOptionError} If an option is malformed or can't be sent to a worker
+ */
+function resolveJobOptions(options) {
+  if (!options || typeof options !== 'object') {
+    throw new InvalidOptionError('Options must be an object');
+  }
+  const {
+    onProgress = null,
+    onWarning = null,
+    signal = null,
+    output = 'uint8array',
+    transferInput = false,
+    ...encryptOptions
+  } = options;
+  
+  validateProgressOptions(onProgress, signal);
+  if (onWarning !== null && typeof onWarning !== 'function') {
+    throw new InvalidOptionError('onWarning must be a function');
+  }
+  validateOutputType(output);
+  // Checked here because the worker itself always produces an ArrayBuffer
+  if (encryptOptions.report && output === 'stream') {
+    throw new InvalidOptionError('report is not available with output \'stream\'');
+  }
+  if (typeof transferInput !== 'boolean') {
+    throw new InvalidOptionError('transferInput must be true or false');
+  }
+  
+  // Functions can't be copied to another thread
+  for (const [name, value] of Object.entries(encryptOptions)) {
+    if (typeof value === 'function' || (name === 'crypto' && value !== null && value !== undefined)) {
+      throw new InvalidOptionError(`${name} can't be passed to a worker; call encryptPDF directly to use it`);
+    }
+  }
+  
+  return { onProgress, onWarning, signal, output, transferInput, encryptOptions };
+}
+
+/**
+ * A fixed number of encryption workers sharing a queue of PDFs
+ * Workers start on first use and each encrypts one PDF at a time
+ */
+class EncryptionWorkerPool {
+  constructor(size, workerURL) {
+    this.size = size;
+    this.workerURL = workerURL;
+    this.workerThreads = undefined;
+    this.slots = [];
+    this.queue = [];
+    this.nextJobId = 1;
+    this.terminated = false;
+  }
+  
+  /**
+   * Encrypt a PDF in one of the pool's workers
+   * Takes the same options as encryptPDF, except crypto and random (functions
+   * can't be sent to a worker), plus transferInput
+   * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfInput - The PDF file
+   * @param {Object} options - encryptPDF options
+   * @param {boolean} [options.transferInput=false] - Hand pdfInput's buffer to the worker
+   *   instead of copying it; the buffer is unusable (detached) afterwards
+   * @returns {Promise<Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>|Object>} - The
+   *   encrypted PDF, as options.output asks; { bytes, report } with report: true
+   */
+  async encrypt(pdfInput, options) {
+    if (this.terminated) throw terminatedError();
+    const job = resolveJobOptions(options);
+    if (job.signal && job.signal.aborted) throw abortError(job.signal);
+    
+    if (this.workerThreads === undefined) {
+      this.workerThreads = await loadWorkerThreads();
+    }
+    if (!this.workerThreads && typeof Worker !== 'function') {
+      throw new PDFEncryptError('Workers are not available in this runtime; use encryptPDF');
+    }
+    
+    // The worker receives the buffer itself. Copy it unless it's ours to give away:
+    // read from a Blob, Response or stream, or handed over with transferInput
+    let bytes = await readPDFInput(pdfInput);
+    const callerOwned = pdfInput instanceof ArrayBuffer || ArrayBuffer.isView(pdfInput);
+    const wholeBuffer = bytes.buffer instanceof ArrayBuffer &&
+      bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength;
+    if ((callerOwned && !job.transferInput) || !wholeBuffer) {
+      bytes = bytes.slice();
+    }
+    if (this.terminated) throw terminatedError();
+    if (job.signal && job.signal.aborted) throw abortError(job.signal);
+    
+    return new Promise((resolve, reject) => {
+      Object.assign(job, { id: this.nextJobId++, bytes, resolve, reject, slot: null, settled: false });
+      if (job.signal) {
+        job.onAbort = () => this.cancel(job, abortError(job.signal));
+        job.signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+  
+  /**
+   * Stop every worker
+   * PDFs still waiting or being encrypted reject with an AbortError
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    this.terminated = true;
+    const error = terminatedError();
+    for (const job of this.queue.splice(0)) {
+      this.settle(job, error);
+    }
+    const slots = this.slots.splice(0);
+    for (const slot of slots) {
+      slot.closed = true;
+      if (slot.job) this.settle(slot.job, error);
+    }
+    await Promise.all(slots.map((slot) => slot.worker.terminate()));
+  }
+  
+  /**
+   * Start queued jobs on idle workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find((candidate) => !candidate.job);
+      if (!slot) {
+        if (this.slots.length >= this.size) return;
+        try {
+          slot = this.spawn();
+        } catch (error) {
+          this.settle(this.queue.shift(), new PDFEncryptError(`Failed to start encryption worker: ${error.message}`, 'INTERNAL_ERROR', { cause: error }));
+          continue;
+        }
+      }
+      this.run(slot, this.queue.shift());
+    }
+  }
+  
+  /**
+   * Start a worker and add it to the pool
+   */
+  spawn() {
+    const slot = { worker: spawnWorker(this.workerThreads, this.workerURL), job: null, closed: false };
+    slot.worker.listen(
+      (message) => this.receive(slot, message),
+      (error) => this.fail(slot, error)
+    );
+    this.slots.push(slot);
+    return slot;
+  }
+  
+  /**
+   * Send a job to a worker, transferring its bytes
+   */
+  run(slot, job) {
+    slot.job = job;
+    job.slot = slot;
+    slot.worker.setBusy(true);
+    try {
+      slot.worker.post({
+        type: 'encrypt',
+        id: job.id,
+        bytes: job.bytes,
+        options: job.encryptOptions,
+        progress: job.onProgress !== null
+      }, [job.bytes.buffer]);
+    } catch (error) {
+      // Nothing reached the worker, so it is free again
+      this.release(slot);
+      this.settle(job, new InvalidOptionError(`Options can't be sent to a worker: ${error.message}`, { cause: error }));
+      return;
+    }
+    job.bytes = null;
+  }
+  
+  /**
+   * Handle a message from a worker about its current job
+   */
+  receive(slot, message) {
+    const job = slot.job;
+    if (!job || message.id !== job.id) return;
+    
+    switch (message.type) {
+      case 'progress':
+        if (job.settled) return;
+        try {
+          job.onProgress(message.progress);
+        } catch (error) {
+          // As with encryptPDF on this thread, a throwing callback ends the operation
+          this.cancel(job, error);
+        }
+        return;
+      case 'warning': {
+        if (job.settled) return;
+        const { code, message: text, ...details } = message.warning;
+        emitWarning(job.onWarning, code, text, details);
+        return;
+      }
+      case 'done': {
+        this.release(slot);
+        const bytes = convertOutput(new Uint8Array(message.result), job.output);
+        this.settle(job, null, message.report ? { bytes, report: message.report } : bytes);
+        return;
+      }
+      case 'error':
+        this.release(slot);
+        this.settle(job, reviveError(message.error));
+        return;
+    }
+  }
+  
+  /**
+   * A worker crashed or exited: fail its job and replace it on next dispatch
+   */
+  fail(slot, error) {
+    if (slot.closed) return;
+    slot.closed = true;
+    this.slots.splice(this.slots.indexOf(slot), 1);
+    if (slot.job) {
+      this.settle(slot.job, new PDFEncryptError(`Encryption worker failed: ${error.message}`, 'INTERNAL_ERROR', { cause: error }));
+    }
+    slot.worker.terminate();
+    this.dispatch();
+  }
+  
+  /**
+   * Mark a worker idle and give it the next job
+   */
+  release(slot) {
+    slot.job = null;
+    if (slot.closed) return;
+    slot.worker.setBusy(false);
+    this.dispatch();
+  }
+  
+  /**
+   * Reject a job now and, if a worker has it, tell the worker to stop
+   * The worker stays busy until it confirms, so it never runs two PDFs at once
+   */
+  cancel(job, error) {
+    if (job.settled) return;
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    } else if (job.slot && !job.slot.closed) {
+      job.slot.worker.post({ type: 'abort', id: job.id });
+    }
+    this.settle(job, error);
+  }
+  
+  /**
+   * Resolve or reject a job, once
+   */
+  settle(job, error, result) {
+    if (job.settled) return;
+    job.settled = true;
+    if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+    if (error) job.reject(error);
+    else job.resolve(result);
+  }
+}
+
+/**
+ * Create a pool of workers that encrypt PDFs off the main thread
+ * 
+ * In browsers the workers are module Web Workers; bundlers that understand
+ * new Worker(new URL(...)) (webpack 5, Vite, Parcel) bundle the worker script
+ * automatically. In Node.js they are worker_threads. Workers start
+ * on first use; in Node.js idle workers don't keep the process alive.
+ * 
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.size] - PDFs encrypted in parallel (default: one less than
+ *   the number of cores, between 1 and 4; 2 where the core count is unknown)
+ * @param {string|URL} [options.workerURL] - Where to load the worker script from, when
+ *   it isn't served next to this module (dist/encryption-worker.mjs; .js for the CommonJS build)
+ * @returns {EncryptionWorkerPool} - With encrypt(pdfInput, options), terminate() and size
+ * @throws {InvalidOptionError} If an option is malformed
+ * 
+ * @example
+ * const pool = createEncryptionWorker({ size: 2 });
+ * const encrypted = await Promise.all(files.map((file) =>
+ *   pool.encrypt(file, { userPassword: 'secret123', output: 'blob' })));
+ * await pool.terminate();
+ */
+export function createEncryptionWorker(options = {}) {
+  if (!options || typeof options !== 'object') {
+    throw new InvalidOptionError('Options must be an object');
+  }
+  for (const name of Object.keys(options)) {
+    if (!(name in POOL_DEFAULT_OPTIONS)) {
+      throw new InvalidOptionError(`Unknown option: ${name}`);
+    }
+  }
+  const { size, workerURL } = { ...POOL_DEFAULT_OPTIONS, ...options };
+  
+  if (size !== null && size !== undefined && (!Number.isInteger(size) || size < 1)) {
+    throw new InvalidOptionError('size must be a positive integer');
+  }
+  if (workerURL !== null && workerURL !== undefined && typeof workerURL !== 'string' && !(workerURL instanceof URL)) {
+    throw new InvalidOptionError('workerURL must be a string or a URL');
+  }
+  
+  return new EncryptionWorkerPool(size || defaultPoolSize(), workerURL || null);
+}
+
+/**
+ * Encrypt a PDF in a worker, off the main thread
+ * Same result as encryptPDF(pdfInput, options); uses a pool shared by all calls,
+ * created with createEncryptionWorker() defaults on first use
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} pdfInput - The PDF file
+ * @param {Object} options - encryptPDF options, except crypto and random, plus
+ *   transferInput (hand pdfInput's buffer to the worker instead of copying it)
+ * @returns {Promise<Uint8Array|Blob|ArrayBuffer|string|ReadableStream<Uint8Array>|Object>} - The
+ *   encrypted PDF, as options.output asks; { bytes, report } with report: true
+ * @throws Everything encryptPDF throws, with the same error classes
+ * 
+ * @example
+ * const controller = new AbortController();
+ * const encrypted = await encryptPDFInWorker(file, {
+ *   userPassword: 'secret123',
+ *   onProgress: ({ objectsDone, objectsTotal }) => setProgress(objectsDone / objectsTotal),
+ *   signal: controller.signal
+ * });
+ */
+export function encryptPDFInWorker(pdfInput, options) {
+  if (!sharedPool) {
+    sharedPool = createEncryptionWorker();
+  }
+  return sharedPool.encrypt(pdfInput, options);
+}
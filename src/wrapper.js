@@ -0,0 +1,230 @@
+/**
+ * pdf-encrypt-lite - Ultra-lightweight PDF encryption library
+ * Powers PDFSmaller.com's PDF encryption tool
+ * 
+ * @author PDFSmaller.com (https://pdfsmaller.com)
+ * @license MIT
+ * @see https://pdfsmaller.com/protect-pdf - Try it online!
+ * 
+ * PDF 2.0 unencrypted wrapper documents (PDF spec 7.6.7)
+ * Viewers that can't open the encrypted document still show a readable cover
+ * page; viewers that understand /EncryptedPayload open the attachment instead.
+ */
+
+import { PDFDocument, PDFName, PDFArray, PDFDict, PDFHexString, StandardFonts, StandardFontEmbedder, PageSizes, AFRelationship } from 'pdf-lib';
+import { getEncryptionInfo } from './pdf-decrypt.js';
+import { InvalidOptionError, NotEncryptedError, toPDFEncryptError } from './errors.js';
+import { readPDFInput } from './io.js';
+
+// Options wrapEncryptedPDF accepts
+const WRAPPER_OPTIONS = ['coverPage', 'subtype', 'version', 'fileName'];
+
+// Cover page layout, in points
+const COVER_MARGIN = 72;
+const HEADING_SIZE = 18;
+const BODY_SIZE = 12;
+const LINE_HEIGHT = 1.4;
+
+/**
+ * Default cover page text: a heading, then what the reader needs to do
+ */
+function defaultCoverText(fileName, filter) {
+  const credential = filter === 'Adobe.PubSec'
+    ? 'You will need the digital ID (certificate) it was encrypted for.'
+    : 'You will be asked for the password.';
+  return [
+    'This document is encrypted',
+    `The protected document is attached to this file as "${fileName}". This viewer does not seem to support its encryption.`,
+    `To read it, open this file in a PDF 2.0 capable reader such as a current version of Adobe Acrobat Reader, or save the attachment and open it there. ${credential}`
+  ].join('\n\n');
+}
+
+/**
+ * Break a paragraph into lines that fit maxWidth
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  
+  return lines;
+}
+
+/**
+ * Check that cover page text can be drawn with the standard fonts, which use WinAnsi
+ * Whitespace only separates words, so any kind is fine
+ * @throws {InvalidOptionError} Naming the first character that can't be drawn
+ */
+function validateCoverText(text) {
+  const { encoding } = StandardFontEmbedder.for(StandardFonts.Helvetica);
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    if (!/\s/.test(char) && !encoding.canEncodeUnicodeCodePoint(codePoint)) {
+      const hex = codePoint.toString(16).toUpperCase().padStart(4, '0');
+      throw new InvalidOptionError(`coverPage text contains '${char}' (U+${hex}), which the cover page font can't draw; use WinAnsi characters or pass a PDF as coverPage`);
+    }
+  }
+}
+
+/**
+ * Draw a text cover page; the first paragraph is the heading
+ * Paragraphs are separated by blank lines
+ */
+async function drawCoverPage(pdfDoc, text) {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const page = pdfDoc.addPage(PageSizes.A4);
+  const { width, height } = page.getSize();
+  const maxWidth = width - 2 * COVER_MARGIN;
+  
+  let y = height - COVER_MARGIN;
+  text.split(/\n\s*\n/).forEach((paragraph, index) => {
+    const [paragraphFont, size] = index === 0 ? [bold, HEADING_SIZE] : [font, BODY_SIZE];
+    for (const line of wrapText(paragraph, paragraphFont, size, maxWidth)) {
+      y -= size * LINE_HEIGHT;
+      page.drawText(line, { x: COVER_MARGIN, y, size, font: paragraphFont });
+    }
+    y -= BODY_SIZE * LINE_HEIGHT;
+  });
+}
+
+/**
+ * Copy every page of a cover PDF into the wrapper
+ */
+async function copyCoverPages(pdfDoc, coverBytes) {
+  let cover;
+  try {
+    cover = await PDFDocument.load(coverBytes);
+  } catch (error) {
+    throw new InvalidOptionError(`coverPage is not a valid PDF: ${error.message}`, { cause: error });
+  }
+  const pages = await pdfDoc.copyPages(cover, cover.getPageIndices());
+  for (const page of pages) {
+    pdfDoc.addPage(page);
+  }
+}
+
+/**
+ * Validate wrapEncryptedPDF options
+ */
+function resolveWrapperOptions(options) {
+  if (!options || typeof options !== 'object') {
+    throw new InvalidOptionError('Options must be an object');
+  }
+  for (const name of Object.keys(options)) {
+    if (!WRAPPER_OPTIONS.includes(name)) {
+      throw new InvalidOptionError(`Unknown option: ${name}`);
+    }
+  }
+  
+  const { coverPage, subtype, version, fileName = 'encrypted.pdf' } = options;
+  if (coverPage !== undefined && typeof coverPage !== 'string' &&
+    !(coverPage instanceof Uint8Array) && !(coverPage instanceof ArrayBuffer)) {
+    throw new InvalidOptionError('coverPage must be text or the bytes of a PDF');
+  }
+  if (typeof coverPage === 'string') {
+    validateCoverText(coverPage);
+  }
+  if (subtype !== undefined && (typeof subtype !== 'string' || subtype === '')) {
+    throw new InvalidOptionError('subtype must be a non-empty string');
+  }
+  if (version !== undefined && typeof version !== 'string') {
+    throw new InvalidOptionError('version must be a string');
+  }
+  if (typeof fileName !== 'string' || fileName === '') {
+    throw new InvalidOptionError('fileName must be a non-empty string');
+  }
+  
+  return { coverPage, subtype, version, fileName };
+}
+
+/**
+ * Wrap an encrypted PDF in a PDF 2.0 unencrypted wrapper document
+ * 
+ * The wrapper opens in any viewer and shows a cover page explaining what is
+ * needed; the encrypted document travels as an attachment with the
+ * /EncryptedPayload relationship, and /Collection asks capable readers to open
+ * it directly. PDFSmaller.com's implementation of PDF 2.0, 7.6.7.
+ * 
+ * @param {Uint8Array|ArrayBuffer|Blob|Response|ReadableStream} encryptedBytes - An encrypted PDF,
+ *   e.g. from encryptPDF (anything encryptPDF accepts)
+ * @param {Object} [options] - Wrapper options
+ * @param {string|Uint8Array} [options.coverPage] - Cover page text (paragraphs separated by
+ *   blank lines, the first one is the heading; WinAnsi characters only), or a PDF whose pages
+ *   become the cover. Defaults to an English explanation
+ * @param {string} [options.subtype] - Name of the cryptographic filter the payload needs
+ *   (/EncryptedPayload /Subtype). Defaults to the payload's security handler, e.g. 'Standard'
+ * @param {string} [options.version] - Version of that cryptographic filter (omitted by default)
+ * @param {string} [options.fileName='encrypted.pdf'] - Attachment name of the payload
+ * @returns {Promise<Uint8Array>} - The wrapper PDF bytes
+ * @throws {InvalidOptionError} If an option is malformed, coverPage isn't a PDF or its text
+ *   has characters outside WinAnsi
+ * @throws {InvalidPDFError} If encryptedBytes can't be parsed as a PDF
+ * @throws {NotEncryptedError} If encryptedBytes isn't encrypted
+ */
+export async function wrapEncryptedPDF(encryptedBytes, options = {}) {
+  try {
+    const { coverPage, subtype, version, fileName } = resolveWrapperOptions(options);
+    const payload = await readPDFInput(encryptedBytes);
+    
+    // Wrapping a plain document would hand out its content unprotected
+    const info = await getEncryptionInfo(payload);
+    if (!info.encrypted) {
+      throw new NotEncryptedError('PDF is not encrypted - encrypt it with encryptPDF before wrapping it');
+    }
+    
+    const pdfDoc = await PDFDocument.create();
+    const context = pdfDoc.context;
+    
+    if (coverPage instanceof Uint8Array || coverPage instanceof ArrayBuffer) {
+      await copyCoverPages(pdfDoc, coverPage);
+    } else {
+      await drawCoverPage(pdfDoc, coverPage || defaultCoverText(fileName, info.filter));
+    }
+    
+    // pdf-lib registers the file specification and lists it in the catalog /AF on flush
+    await pdfDoc.attach(payload, fileName, {
+      mimeType: 'application/pdf',
+      description: 'Encrypted PDF document',
+      afRelationship: AFRelationship.EncryptedPayload
+    });
+    await pdfDoc.flush();
+    
+    const af = pdfDoc.catalog.lookup(PDFName.of('AF'), PDFArray);
+    const fileSpec = context.lookup(af.get(af.size() - 1), PDFDict);
+    
+    // Encrypted payload dictionary: what a reader needs to open the attachment
+    const encryptedPayload = context.obj({
+      Type: 'EncryptedPayload',
+      Subtype: PDFName.of(subtype || info.filter || 'Standard')
+    });
+    if (version !== undefined) {
+      encryptedPayload.set(PDFName.of('Version'), PDFHexString.fromText(version));
+    }
+    fileSpec.set(PDFName.of('EP'), encryptedPayload);
+    
+    // Hidden collection view with the payload as the initial document
+    pdfDoc.catalog.set(PDFName.of('Collection'), context.obj({
+      Type: 'Collection',
+      View: 'H',
+      D: PDFHexString.fromText(fileName)
+    }));
+    pdfDoc.catalog.set(PDFName.of('Version'), PDFName.of('2.0'));
+    
+    // Classic xref table, so the cover page opens even in very old viewers
+    return await pdfDoc.save({ useObjectStreams: false });
+    
+  } catch (error) {
+    throw toPDFEncryptError(error, 'Failed to wrap PDF');
+  }
+}
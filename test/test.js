@@ -0,0 +1,1437 @@
+/**
+ * pdf-encrypt-lite tests
+ * Run with npm test, which builds dist/ first. Plain Node.js, no test framework:
+ * each test is an async function that throws (through assert) when it fails.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { PDFDocument, PDFName, PDFArray, PDFString, PDFHexString, PDFRawStream, StandardFonts, decodePDFRawStream } = require('pdf-lib');
+const lib = require('../dist/index.js');
+// Internal, for unit tests of pure functions
+const { encodePDFDocEncoding, saslprep } = require('../dist/password.js');
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// --- Fixtures ---
+
+/**
+ * A small unencrypted PDF: one page of text and some document info
+ */
+async function samplePDF(options = {}) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle('pdf-encrypt-lite test');
+  pdfDoc.setAuthor('Tests');
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  pdfDoc.addPage().drawText('Hello, encrypted world', { font, x: 50, y: 700 });
+  return pdfDoc.save({ useObjectStreams: false, ...options });
+}
+
+/**
+ * The raw (still encoded) contents of the first page's content stream
+ */
+async function firstPageContents(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+  let stream = pdfDoc.getPage(0).node.lookup(PDFName.of('Contents'));
+  if (stream instanceof PDFArray) stream = stream.lookup(0);
+  assert.ok(stream instanceof PDFRawStream, 'page contents are a single stream');
+  return stream.contents;
+}
+
+/**
+ * A one-page PDF with a text file attached
+ */
+async function attachmentPDF() {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle('Attachment fixture');
+  pdfDoc.addPage().drawText('See the attachment', { x: 50, y: 700 });
+  await pdfDoc.attach(Buffer.from('attached text'), 'notes.txt', { mimeType: 'text/plain' });
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+/**
+ * The raw (possibly encrypted) data of every /EmbeddedFile stream
+ */
+async function embeddedFileStreams(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+  return pdfDoc.context.enumerateIndirectObjects()
+    .map(([, obj]) => obj)
+    .filter((obj) => obj instanceof PDFRawStream && obj.dict.lookup(PDFName.of('Type')) === PDFName.of('EmbeddedFile'));
+}
+
+// --- DER, just enough to build a certificate and open a PKCS#7 envelope ---
+
+function derLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let n = length; n > 0; n >>= 8) bytes.unshift(n & 0xFF);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function der(tag, ...parts) {
+  const content = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([tag]), derLength(content.length), content]);
+}
+
+function derOID(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const encoded = [arc & 0x7F];
+    for (let n = arc >> 7; n > 0; n >>= 7) encoded.unshift(0x80 | (n & 0x7F));
+    bytes.push(...encoded);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Read one DER element: { tag, content, end }
+ */
+function readDER(bytes, offset = 0) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7F;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + bytes[start + i];
+    start += count;
+  }
+  return { tag, content: bytes.subarray(start, start + length), end: start + length };
+}
+
+function readChildren(bytes) {
+  const children = [];
+  for (let offset = 0; offset < bytes.length;) {
+    const child = readDER(bytes, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+/**
+ * Generate an RSA key and a self-signed X.509 certificate for it
+ * @returns {{ pem: string, privateKey: KeyObject, serialNumber: Buffer }}
+ */
+function selfSignedCertificate(commonName, serial) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const sha256WithRSA = der(0x30, derOID('1.2.840.113549.1.1.11'), der(0x05));
+  const name = der(0x30, der(0x31, der(0x30, derOID('2.5.4.3'), der(0x0C, Buffer.from(commonName)))));
+  const serialNumber = Buffer.from([serial]);
+  const tbsCertificate = der(0x30,
+    der(0xA0, der(0x02, Buffer.from([2]))),
+    der(0x02, serialNumber),
+    sha256WithRSA,
+    name,
+    der(0x30, der(0x17, Buffer.from('250101000000Z')), der(0x17, Buffer.from('350101000000Z'))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' })
+  );
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+  const certificate = der(0x30, tbsCertificate, sha256WithRSA, der(0x03, Buffer.from([0]), signature));
+  const base64 = certificate.toString('base64').replace(/.{64}/g, '$&\n');
+  const pem = `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`;
+  return { pem, privateKey, serialNumber };
+}
+
+/**
+ * Open a PKCS#7 EnvelopedData as the holder of a certificate
+ * @returns {Buffer|null} - The content, or null when the envelope isn't addressed to them
+ */
+function openEnvelope(envelope, { privateKey, serialNumber }) {
+  const [, explicit] = readChildren(readDER(envelope).content);
+  const [, recipientInfos, encryptedContentInfo] = readChildren(readDER(explicit.content).content);
+
+  let contentKey = null;
+  for (const recipientInfo of readChildren(recipientInfos.content)) {
+    const [, issuerAndSerial, , encryptedKey] = readChildren(recipientInfo.content);
+    const [, serial] = readChildren(issuerAndSerial.content);
+    if (!serialNumber.equals(serial.content)) continue;
+
+    // PKCS#1 v1.5 by hand: EM = 0x00 || 0x02 || PS || 0x00 || key
+    const em = crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_NO_PADDING }, encryptedKey.content);
+    assert.deepStrictEqual([...em.subarray(0, 2)], [0x00, 0x02], 'PKCS#1 v1.5 block type 2');
+    contentKey = em.subarray(em.indexOf(0, 2) + 1);
+  }
+  if (!contentKey) return null;
+
+  const [, algorithm, encrypted] = readChildren(encryptedContentInfo.content);
+  const [, iv] = readChildren(algorithm.content);
+  const decipher = crypto.createDecipheriv('aes-256-cbc', contentKey, iv.content);
+  return Buffer.concat([decipher.update(encrypted.content), decipher.final()]);
+}
+
+/**
+ * The /Recipients envelopes of a certificate-encrypted PDF
+ * (with the default classic xref table; pdf-lib can't read encrypted object streams)
+ */
+async function readRecipients(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+  const encryptDict = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Encrypt);
+  const cryptFilter = encryptDict.lookup(PDFName.of('CF')).lookup(PDFName.of('DefaultCryptFilter'));
+  return cryptFilter.lookup(PDFName.of('Recipients')).asArray().map((envelope) => Buffer.from(envelope.asBytes()));
+}
+
+// --- Strings and streams (AES-128) ---
+
+/**
+ * Encrypt, decrypt and load the result with pdf-lib
+ */
+async function roundTrip(plain, options, password = options.userPassword) {
+  const decrypted = await lib.decryptPDF(await lib.encryptPDF(plain, options), password);
+  return PDFDocument.load(decrypted, { updateMetadata: false });
+}
+
+test('aes-128: hex strings, odd-length ones included, decrypt to the bytes they held', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  pdfDoc.setTitle('Hex title');
+  // A missing final digit is read as 0 (spec 7.3.4.3): <4142434> is "ABC@"
+  pdfDoc.getInfoDict().set(PDFName.of('Subject'), PDFHexString.of('4142434'));
+  const plain = await pdfDoc.save({ useObjectStreams: false });
+
+  for (const algorithm of ['rc4-128', 'aes-128', 'aes-256']) {
+    const decrypted = await roundTrip(plain, { userPassword: 'user', algorithm });
+    assert.strictEqual(decrypted.getTitle(), 'Hex title');
+    assert.deepStrictEqual([...decrypted.getInfoDict().lookup(PDFName.of('Subject')).asBytes()], [0x41, 0x42, 0x43, 0x40], algorithm);
+  }
+});
+
+// --- Decryption ---
+
+// Every revision decryptPDF reads; rc4-40 can't be written with object streams
+const REVISIONS = [
+  { algorithm: 'rc4-40', R: 2, allowWeak: true, objectStreams: [false] },
+  { algorithm: 'rc4-128', R: 3, allowWeak: false, objectStreams: [false, true] },
+  { algorithm: 'aes-128', R: 4, allowWeak: false, objectStreams: [false, true] },
+  { algorithm: 'aes-256', R: 6, allowWeak: false, objectStreams: [false, true] }
+];
+
+for (const { algorithm, R, allowWeak, objectStreams } of REVISIONS) {
+  for (const useObjectStreams of objectStreams) {
+    test(`decryptPDF: R${R} (${algorithm}) ${useObjectStreams ? 'with' : 'without'} object streams gives back the content`, async () => {
+      const plain = await samplePDF();
+      const encrypted = await lib.encryptPDF(plain, { userPassword: 'user', ownerPassword: 'owner', algorithm, allowWeak, useObjectStreams });
+      assert.strictEqual((await lib.getEncryptionInfo(encrypted)).R, R);
+
+      for (const password of ['user', 'owner']) {
+        const decrypted = await lib.decryptPDF(encrypted, password);
+        assert.strictEqual((await lib.getEncryptionInfo(decrypted)).encrypted, false);
+        assert.ok(Buffer.from(await firstPageContents(decrypted)).equals(Buffer.from(await firstPageContents(plain))), `${password}: page content`);
+        const pdfDoc = await PDFDocument.load(decrypted, { updateMetadata: false });
+        assert.strictEqual(pdfDoc.getTitle(), 'pdf-encrypt-lite test');
+        assert.strictEqual(pdfDoc.getAuthor(), 'Tests');
+
+        // The xref style of the encrypted file is kept
+        const text = Buffer.from(decrypted).toString('latin1');
+        assert.strictEqual(text.includes('/ObjStm'), useObjectStreams, 'object streams');
+        assert.strictEqual(/\bxref\s/.test(text), !useObjectStreams, 'classic xref table');
+      }
+    });
+  }
+}
+
+test('decryptPDF: a wrong password is a WrongPasswordError for every revision', async () => {
+  const plain = await samplePDF();
+  for (const { algorithm, allowWeak } of REVISIONS) {
+    const encrypted = await lib.encryptPDF(plain, { userPassword: 'user', ownerPassword: 'owner', algorithm, allowWeak });
+    for (const password of ['wrong', '', 'User']) {
+      await assert.rejects(lib.decryptPDF(encrypted, password),
+        (error) => error instanceof lib.WrongPasswordError && error.code === 'WRONG_PASSWORD', `${algorithm}: '${password}'`);
+    }
+  }
+});
+
+// --- Re-encryption ---
+
+test('encryptPDF: already encrypted input is an AlreadyEncryptedError', async () => {
+  const plain = await samplePDF();
+  for (const useObjectStreams of [false, true]) {
+    const encrypted = await lib.encryptPDF(plain, { userPassword: 'user', algorithm: 'aes-128', useObjectStreams });
+    await assert.rejects(lib.encryptPDF(encrypted, { userPassword: 'again' }),
+      (error) => error instanceof lib.AlreadyEncryptedError && error.code === 'ALREADY_ENCRYPTED');
+  }
+});
+
+test('encryptPDF: /Encrypt outside the trailer is no reason to refuse, unparseable input is an InvalidPDFError', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  pdfDoc.getInfoDict().set(PDFName.of('Keywords'), PDFString.of('/Encrypt'));
+  const encrypted = await lib.encryptPDF(await pdfDoc.save({ useObjectStreams: false }), { userPassword: 'user' });
+  assert.strictEqual((await lib.getEncryptionInfo(encrypted)).encrypted, true);
+
+  await assert.rejects(lib.encryptPDF(new TextEncoder().encode('not a pdf, but it says /Encrypt'), { userPassword: 'user' }),
+    (error) => error instanceof lib.InvalidPDFError && error.cause instanceof Error);
+});
+
+test('changePassword: only the new passwords open the file, content and settings stay', async () => {
+  const plain = await samplePDF();
+  const encrypted = await lib.encryptPDF(plain, {
+    userPassword: 'old-user',
+    ownerPassword: 'old-owner',
+    algorithm: 'aes-128',
+    permissions: { print: 'lowRes', copy: false },
+    encryptMetadata: false
+  });
+  const rekeyed = await lib.changePassword(encrypted, 'old-user', { userPassword: 'new-user', ownerPassword: 'new-owner' });
+
+  assert.strictEqual(await lib.checkPassword(rekeyed, 'old-user'), null);
+  assert.strictEqual(await lib.checkPassword(rekeyed, 'old-owner'), null);
+  assert.strictEqual(await lib.checkPassword(rekeyed, 'new-user'), 'user');
+  assert.strictEqual(await lib.checkPassword(rekeyed, 'new-owner'), 'owner');
+  await assert.rejects(lib.decryptPDF(rekeyed, 'old-owner'), lib.WrongPasswordError);
+
+  // Algorithm, permissions and /EncryptMetadata come from the old file
+  const { encrypted: wasEncrypted, ...before } = await lib.getEncryptionInfo(encrypted);
+  const after = await lib.getEncryptionInfo(rekeyed);
+  assert.deepStrictEqual(after, { encrypted: wasEncrypted, ...before });
+  assert.strictEqual(after.permissions.print, 'lowRes');
+  assert.strictEqual(after.encryptMetadata, false);
+
+  const decrypted = await lib.decryptPDF(rekeyed, 'new-user');
+  assert.ok(Buffer.from(await firstPageContents(decrypted)).equals(Buffer.from(await firstPageContents(plain))));
+});
+
+test('changePassword: an attachments-only file stays attachments-only', async () => {
+  const encrypted = await lib.encryptPDF(await attachmentPDF(), { userPassword: 'old', algorithm: 'aes-256', encryptTarget: 'embeddedFilesOnly' });
+  const rekeyed = await lib.changePassword(encrypted, 'old', { userPassword: 'new' });
+
+  const info = await lib.getEncryptionInfo(rekeyed);
+  assert.strictEqual(info.R, 6);
+  assert.deepStrictEqual(info.cryptFilters, { streams: 'None', strings: 'None', embeddedFiles: 'AESV3' });
+
+  const [attachment] = await embeddedFileStreams(await lib.decryptPDF(rekeyed, 'new'));
+  assert.strictEqual(Buffer.from(decodePDFRawStream(attachment).decode()).toString(), 'attached text');
+});
+
+test('changePassword: a wrong old password is a WrongPasswordError', async () => {
+  const encrypted = await lib.encryptPDF(await samplePDF(), { userPassword: 'old' });
+  await assert.rejects(lib.changePassword(encrypted, 'guess', { userPassword: 'new' }), lib.WrongPasswordError);
+});
+
+// --- Signed documents ---
+
+// A recognisable signature value, to find in the raw output
+const SIGNATURE_HEX = 'DEADBEEF'.repeat(32);
+
+/**
+ * A PDF with one signed signature field and DocMDP permissions pointing at the signature
+ * (the signature itself is a placeholder; only its structure matters here)
+ */
+async function signedPDF() {
+  const pdfDoc = await PDFDocument.create();
+  const context = pdfDoc.context;
+  const page = pdfDoc.addPage();
+  const signature = context.register(context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'adbe.pkcs7.detached',
+    ByteRange: [0, 0, 0, 0],
+    Contents: PDFHexString.of(SIGNATURE_HEX),
+    Name: PDFString.of('Signer Name'),
+    M: PDFString.of('D:20250101000000Z')
+  }));
+  const field = context.register(context.obj({
+    FT: 'Sig',
+    T: PDFString.of('Signature1'),
+    V: signature,
+    Type: 'Annot',
+    Subtype: 'Widget',
+    Rect: [0, 0, 0, 0],
+    P: page.ref
+  }));
+  page.node.set(PDFName.of('Annots'), context.obj([field]));
+  pdfDoc.catalog.set(PDFName.of('AcroForm'), context.obj({ Fields: [field], SigFlags: 3 }));
+  pdfDoc.catalog.set(PDFName.of('Perms'), context.obj({ DocMDP: signature }));
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+/**
+ * The signature dictionary of a (decrypted) PDF, or undefined
+ */
+async function signatureOf(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const [field] = pdfDoc.catalog.lookup(PDFName.of('AcroForm')).lookup(PDFName.of('Fields')).asArray();
+  return { pdfDoc, field: pdfDoc.context.lookup(field), signature: pdfDoc.context.lookup(field).lookup(PDFName.of('V')) };
+}
+
+for (const useObjectStreams of [false, true]) {
+  test(`onSignedDocument 'warn': signature /Contents stays in the clear ${useObjectStreams ? 'with' : 'without'} object streams`, async () => {
+    const warnings = [];
+    const encrypted = await lib.encryptPDF(await signedPDF(), {
+      userPassword: 'user',
+      algorithm: 'aes-128',
+      useObjectStreams,
+      onWarning: (warning) => warnings.push(warning)
+    });
+    assert.deepStrictEqual(warnings.map(({ code, signatureCount }) => ({ code, signatureCount })),
+      [{ code: 'SIGNATURES_INVALIDATED', signatureCount: 1 }]);
+
+    // The raw bytes: /Contents as written, the signer's name encrypted
+    const text = Buffer.from(encrypted).toString('latin1');
+    assert.ok(text.includes(`/Contents <${SIGNATURE_HEX}>`), 'signature /Contents unencrypted at the top level');
+    assert.ok(!text.includes('Signer Name'), 'other signature strings encrypted');
+
+    const { signature } = await signatureOf(await lib.decryptPDF(encrypted, 'user'));
+    assert.strictEqual(signature.lookup(PDFName.of('Contents')).asString(), SIGNATURE_HEX);
+    assert.strictEqual(signature.lookup(PDFName.of('Name')).decodeText(), 'Signer Name');
+  });
+}
+
+test('onSignedDocument \'error\': a SignedDocumentError with the signature count', async () => {
+  await assert.rejects(lib.encryptPDF(await signedPDF(), { userPassword: 'user', onSignedDocument: 'error' }),
+    (error) => error instanceof lib.SignedDocumentError && error.code === 'SIGNED_DOCUMENT' && error.signatureCount === 1);
+});
+
+test('onSignedDocument \'strip\': the signature, its DocMDP entry and /SigFlags are removed', async () => {
+  const warnings = [];
+  const encrypted = await lib.encryptPDF(await signedPDF(), {
+    userPassword: 'user',
+    onSignedDocument: 'strip',
+    onWarning: (warning) => warnings.push(warning)
+  });
+  assert.deepStrictEqual(warnings, []);
+  assert.ok(!Buffer.from(encrypted).toString('latin1').includes(SIGNATURE_HEX));
+
+  const { pdfDoc, field, signature } = await signatureOf(await lib.decryptPDF(encrypted, 'user'));
+  assert.strictEqual(signature, undefined, 'the field stays, unsigned');
+  assert.strictEqual(field.lookup(PDFName.of('FT')), PDFName.of('Sig'));
+  assert.strictEqual(pdfDoc.catalog.get(PDFName.of('Perms')), undefined);
+  assert.strictEqual(pdfDoc.catalog.lookup(PDFName.of('AcroForm')).get(PDFName.of('SigFlags')), undefined);
+});
+
+// --- Compression ---
+
+test('compressStreams: streams without a filter or with ASCIIHex come back Flate-encoded with the same data', async () => {
+  const contents = 'BT /F1 12 Tf 50 700 Td (Compress me) Tj ET\n'.repeat(50);
+  const binary = Buffer.from(Array.from({ length: 1024 }, (_, i) => i % 256));
+
+  const pdfDoc = await PDFDocument.create();
+  const context = pdfDoc.context;
+  const page = pdfDoc.addPage();
+  page.node.set(PDFName.of('Contents'), context.register(context.stream(contents)));
+  const hex = context.register(context.stream(binary.toString('hex').toUpperCase() + '>', { Filter: 'ASCIIHexDecode', Fixture: 'hex' }));
+  page.node.set(PDFName.of('Fixture'), hex);
+  const plain = await pdfDoc.save({ useObjectStreams: false });
+
+  for (const algorithm of ['rc4-128', 'aes-128', 'aes-256']) {
+    const options = { userPassword: 'user', algorithm };
+    const compressed = await lib.encryptPDF(plain, { ...options, compressStreams: true });
+    assert.ok(compressed.length < (await lib.encryptPDF(plain, options)).length, `${algorithm}: smaller`);
+
+    const decrypted = await PDFDocument.load(await lib.decryptPDF(compressed, 'user'), { updateMetadata: false });
+    const pageNode = decrypted.getPage(0).node;
+    for (const [stream, expected] of [[pageNode.lookup(PDFName.of('Contents')), Buffer.from(contents)], [pageNode.lookup(PDFName.of('Fixture')), binary]]) {
+      assert.strictEqual(stream.dict.lookup(PDFName.of('Filter')), PDFName.of('FlateDecode'), algorithm);
+      assert.ok(Buffer.from(decodePDFRawStream(stream).decode()).equals(expected), `${algorithm}: same data`);
+    }
+  }
+});
+
+// --- Password encoding ---
+
+test('encodePDFDocEncoding: NFC first, Latin-1 as is, the rest through the PDFDocEncoding table', () => {
+  const cases = [
+    ['secret', [0x73, 0x65, 0x63, 0x72, 0x65, 0x74]],
+    ['caf\u00E9', [0x63, 0x61, 0x66, 0xE9]],
+    // A decomposed accent is composed, so it encodes like the precomposed one
+    ['cafe\u0301', [0x63, 0x61, 0x66, 0xE9]],
+    ['\t\n\r ~\u00A1\u00FF', [0x09, 0x0A, 0x0D, 0x20, 0x7E, 0xA1, 0xFF]],
+    ['\u20AC\u2022\u2013\u2014\u0152\u0161\u017E\u02DC', [0xA0, 0x80, 0x85, 0x84, 0x96, 0x9D, 0x9E, 0x1F]],
+    ['\u201C\u201D\u2018\u2019\u2122\uFB01', [0x8D, 0x8E, 0x8F, 0x90, 0x92, 0x93]]
+  ];
+  for (const [password, bytes] of cases) {
+    assert.deepStrictEqual([...encodePDFDocEncoding(password)], bytes, JSON.stringify(password));
+  }
+});
+
+test('encodePDFDocEncoding: characters without a byte are an InvalidOptionError naming them', () => {
+  const cases = [['\u738B', 'U+738B'], ['\u0000', 'U+0000'], ['\u0080', 'U+0080'], ['\u00AD', 'U+00AD'], ['\u{1F600}', 'U+1F600']];
+  for (const [password, name] of cases) {
+    assert.throws(() => encodePDFDocEncoding(`ok${password}`),
+      (error) => error instanceof lib.InvalidOptionError && error.message.includes(name), name);
+  }
+});
+
+test('saslprep: mapping and NFKC (RFC 4013 examples and more)', () => {
+  const cases = [
+    ['I\u00ADX', 'IX'],
+    ['user', 'user'],
+    ['USER', 'USER'],
+    ['\u00AA', 'a'],
+    ['\u2168', 'IX'],
+    ['a\u00A0b\u3000c', 'a b c'],
+    ['zero\u200Dwidth\uFEFF', 'zerowidth'],
+    ['\uFF21\uFF22', 'AB'],
+    ['cafe\u0301', 'caf\u00E9'],
+    ['\u05D0\u05D1\u05D2', '\u05D0\u05D1\u05D2'],
+    ['\u0627\u0031\u0628', '\u0627\u0031\u0628']
+  ];
+  for (const [password, prepared] of cases) {
+    assert.strictEqual(saslprep(password), prepared, JSON.stringify(password));
+  }
+});
+
+test('saslprep: prohibited characters and bidi violations are InvalidOptionErrors', () => {
+  const prohibited = [['\u0007', 'U+0007'], ['a\u007Fb', 'U+007F'], ['\uE000', 'U+E000'], ['\u2028', 'U+2028'], ['\uFFFE', 'U+FFFE'], ['\uD800', 'U+D800'], ['\u{E0001}', 'U+E0001']];
+  for (const [password, name] of prohibited) {
+    assert.throws(() => saslprep(password),
+      (error) => error instanceof lib.InvalidOptionError && error.message.includes(`prohibited character (${name})`), name);
+  }
+
+  // RFC 4013 example 7, RTL mixed with LTR, and RTL text that doesn't end RTL
+  for (const password of ['\u0627\u0031', '\u0627a\u0628', 'a\u05D0', '\u05D0\u05D1 ']) {
+    assert.throws(() => saslprep(password),
+      (error) => error instanceof lib.InvalidOptionError && /right-to-left/.test(error.message), JSON.stringify(password));
+  }
+});
+
+test('passwords: equivalent spellings open the file', async () => {
+  const plain = await samplePDF();
+  const rc4 = await lib.encryptPDF(plain, { userPassword: 'cafe\u0301', algorithm: 'rc4-128' });
+  assert.strictEqual(await lib.checkPassword(rc4, 'caf\u00E9'), 'owner');
+  const aes = await lib.encryptPDF(plain, { userPassword: 'I\u00ADX', algorithm: 'aes-256' });
+  assert.strictEqual(await lib.checkPassword(aes, '\u2168'), 'owner');
+  await assert.rejects(lib.encryptPDF(plain, { userPassword: '\u738B', algorithm: 'aes-128' }), lib.InvalidOptionError);
+});
+
+// --- Metadata in the clear ---
+
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><dc:title>Searchable title</dc:title></x:xmpmeta>';
+
+/**
+ * samplePDF with an unfiltered XMP metadata stream
+ */
+async function metadataPDF() {
+  const pdfDoc = await PDFDocument.load(await samplePDF(), { updateMetadata: false });
+  const xmp = pdfDoc.context.stream(XMP, { Type: 'Metadata', Subtype: 'XML' });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmp));
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+for (const algorithm of ['aes-128', 'aes-256']) {
+  test(`encryptMetadata false (${algorithm}): the XMP stream stays readable, everything else is encrypted`, async () => {
+    const plain = await metadataPDF();
+    const encrypted = await lib.encryptPDF(plain, { userPassword: 'user', algorithm, encryptMetadata: false });
+    const text = Buffer.from(encrypted).toString('latin1');
+    assert.ok(text.includes(XMP), 'XMP in the clear');
+    assert.ok(!Buffer.from(await firstPageContents(encrypted)).equals(Buffer.from(await firstPageContents(plain))), 'page content encrypted');
+    assert.strictEqual((await lib.getEncryptionInfo(encrypted)).encryptMetadata, false);
+
+    const decrypted = await lib.decryptPDF(encrypted, 'user');
+    assert.ok(Buffer.from(decrypted).toString('latin1').includes(XMP), 'XMP left alone by decryption');
+    assert.ok(Buffer.from(await firstPageContents(decrypted)).equals(Buffer.from(await firstPageContents(plain))));
+
+    // The default encrypts it like any other stream
+    const sealed = await lib.encryptPDF(plain, { userPassword: 'user', algorithm });
+    assert.ok(!Buffer.from(sealed).toString('latin1').includes('Searchable title'));
+  });
+}
+
+test('encryptMetadata false: refused for RC4, which has no crypt filters', async () => {
+  await assert.rejects(lib.encryptPDF(await metadataPDF(), { userPassword: 'user', algorithm: 'rc4-128', encryptMetadata: false }),
+    (error) => error instanceof lib.InvalidOptionError && /encryptMetadata/.test(error.message));
+});
+
+// --- Attachments only ---
+
+test('encryptTarget embeddedFilesOnly: only the EmbeddedFile streams are encrypted', async () => {
+  const plain = await attachmentPDF();
+  const warnings = [];
+  const encrypted = await lib.encryptPDF(plain, {
+    userPassword: 'user',
+    algorithm: 'aes-128',
+    encryptTarget: 'embeddedFilesOnly',
+    onWarning: (warning) => warnings.push(warning)
+  });
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual((await lib.getEncryptionInfo(encrypted)).cryptFilters, { streams: 'None', strings: 'None', embeddedFiles: 'AESV2' });
+
+  // The document opens without a password: content and strings as they were
+  assert.ok(Buffer.from(await firstPageContents(encrypted)).equals(Buffer.from(await firstPageContents(plain))));
+  const opened = await PDFDocument.load(encrypted, { ignoreEncryption: true, updateMetadata: false });
+  assert.strictEqual(opened.getTitle(), 'Attachment fixture');
+
+  const [before] = await embeddedFileStreams(plain);
+  const [after] = await embeddedFileStreams(encrypted);
+  assert.ok(!Buffer.from(after.contents).equals(Buffer.from(before.contents)), 'attachment encrypted');
+  const [decrypted] = await embeddedFileStreams(await lib.decryptPDF(encrypted, 'user'));
+  assert.strictEqual(Buffer.from(decodePDFRawStream(decrypted).decode()).toString(), 'attached text');
+});
+
+test('encryptTarget embeddedFilesOnly: a PDF without attachments gets a NO_EMBEDDED_FILES warning', async () => {
+  const warnings = [];
+  await lib.encryptPDF(await samplePDF(), {
+    userPassword: 'user',
+    algorithm: 'aes-256',
+    encryptTarget: 'embeddedFilesOnly',
+    onWarning: (warning) => warnings.push(warning)
+  });
+  assert.deepStrictEqual(warnings.map(({ code }) => code), ['NO_EMBEDDED_FILES']);
+});
+
+// --- Certificate encryption (Adobe.PubSec) ---
+
+const alice = selfSignedCertificate('Alice', 1);
+const bob = selfSignedCertificate('Bob', 2);
+
+test('encryptPDFForRecipients: each recipient can open an envelope', async () => {
+  const encrypted = await lib.encryptPDFForRecipients(await samplePDF(), [
+    alice.pem,
+    { certificate: bob.pem, permissions: { print: false, copy: false } }
+  ]);
+  const envelopes = await readRecipients(encrypted);
+  assert.strictEqual(envelopes.length, 2, 'one envelope per set of permissions');
+
+  for (const holder of [alice, bob]) {
+    const opened = envelopes.map((envelope) => openEnvelope(envelope, holder)).filter(Boolean);
+    assert.strictEqual(opened.length, 1, 'exactly one envelope per recipient');
+    assert.strictEqual(opened[0].length, 24, '20-byte seed followed by 4 permission bytes');
+  }
+});
+
+test('encryptPDFForRecipients: the envelope seed carries each recipient\'s permissions', async () => {
+  const encrypted = await lib.encryptPDFForRecipients(await samplePDF(), [
+    alice.pem,
+    { certificate: bob.pem, permissions: { print: false, copy: false } }
+  ]);
+  const envelopes = await readRecipients(encrypted);
+  const permissionsOf = (holder) => {
+    const content = envelopes.map((envelope) => openEnvelope(envelope, holder)).find(Boolean);
+    return content.readInt32BE(20);
+  };
+
+  const PRINT = 1 << 2, MODIFY = 1 << 3, COPY = 1 << 4, PRINT_HIGH_RES = 1 << 11;
+  const aliceFlags = permissionsOf(alice);
+  const bobFlags = permissionsOf(bob);
+  for (const bit of [PRINT, MODIFY, COPY, PRINT_HIGH_RES]) {
+    assert.ok(aliceFlags & bit, `alice has bit ${bit}`);
+  }
+  assert.strictEqual(bobFlags & PRINT, 0, 'bob may not print');
+  assert.strictEqual(bobFlags & COPY, 0, 'bob may not copy');
+  assert.ok(bobFlags & MODIFY, 'bob may still modify');
+
+  // The seed itself is shared by every envelope
+  const seeds = [alice, bob].map((holder) => envelopes.map((e) => openEnvelope(e, holder)).find(Boolean).subarray(0, 20));
+  assert.ok(seeds[0].equals(seeds[1]));
+});
+
+test('encryptPDFForRecipients: a recipient decrypts the document with the key from their envelope', async () => {
+  const plain = await samplePDF();
+  const encrypted = await lib.encryptPDFForRecipients(plain, [alice.pem, bob.pem], {
+    algorithm: 'aes-256'
+  });
+
+  const info = await lib.getEncryptionInfo(encrypted);
+  assert.strictEqual(info.filter, 'Adobe.PubSec');
+  assert.ok(!Buffer.from(encrypted).toString('latin1').includes('/ObjStm'), 'no object streams unless asked, as in encryptPDF');
+  assert.strictEqual(info.subFilter, 'adbe.pkcs7.s5');
+
+  // File key: SHA-256 of the seed and every envelope
+  const envelopes = await readRecipients(encrypted);
+  const seed = envelopes.map((envelope) => openEnvelope(envelope, bob)).find(Boolean).subarray(0, 20);
+  const fileKey = crypto.createHash('sha256').update(Buffer.concat([seed, ...envelopes])).digest();
+
+  // AESV3 streams: 16-byte IV, then AES-256-CBC with the file key
+  const sealed = Buffer.from(await firstPageContents(encrypted));
+  const decipher = crypto.createDecipheriv('aes-256-cbc', fileKey, sealed.subarray(0, 16));
+  const contents = Buffer.concat([decipher.update(sealed.subarray(16)), decipher.final()]);
+  assert.ok(contents.equals(Buffer.from(await firstPageContents(plain))));
+});
+
+// --- Unencrypted wrapper ---
+
+test('wrapEncryptedPDF: cover text outside WinAnsi is an InvalidOptionError naming the character', async () => {
+  const encrypted = await lib.encryptPDF(await samplePDF(), { userPassword: 'user', algorithm: 'aes-128' });
+  await assert.rejects(
+    lib.wrapEncryptedPDF(encrypted, { coverPage: 'Protected\n\nAsk 王 for the password' }),
+    (error) => error instanceof lib.InvalidOptionError && error.message.includes("'王' (U+738B)")
+  );
+
+  // WinAnsi punctuation and any whitespace are fine
+  const wrapper = await lib.wrapEncryptedPDF(encrypted, { coverPage: 'Protected – €5\u00A0fee\n\n\t“Ask us”' });
+  assert.strictEqual((await lib.getEncryptionInfo(wrapper)).encrypted, false);
+});
+
+// --- Crypto providers ---
+
+/**
+ * A provider built on the library's own primitives that counts its calls
+ */
+function countingProvider(calls) {
+  const counted = (name, fn) => (...args) => {
+    calls[name] = (calls[name] || 0) + 1;
+    return fn(...args);
+  };
+  return {
+    name: 'counting',
+    md5: counted('md5', lib.md5),
+    rc4: counted('rc4', (key, data) => new lib.RC4(key).process(data)),
+    aesEncryptCBC: counted('aesEncryptCBC', lib.aesEncryptCBC),
+    randomBytes: counted('randomBytes', (length) => new Uint8Array(crypto.randomBytes(length)))
+  };
+}
+
+test('crypto provider: one passed to a call does the work', async () => {
+  const calls = {};
+  const encrypted = await lib.encryptPDF(await samplePDF(), { userPassword: 'user', algorithm: 'aes-128', crypto: countingProvider(calls) });
+  for (const name of ['md5', 'rc4', 'aesEncryptCBC', 'randomBytes']) {
+    assert.ok(calls[name] > 0, `${name} used`);
+  }
+  assert.strictEqual(await lib.checkPassword(encrypted, 'user'), 'owner');
+});
+
+test('crypto provider: setCryptoProvider sets the default, a per-call provider still wins', async () => {
+  const plain = await samplePDF();
+  const globalCalls = {};
+  const callCalls = {};
+  lib.setCryptoProvider(countingProvider(globalCalls));
+  try {
+    await lib.encryptPDF(plain, { userPassword: 'user' });
+    assert.ok(globalCalls.md5 > 0, 'default used');
+
+    const before = globalCalls.md5;
+    await lib.encryptPDF(plain, { userPassword: 'user', crypto: countingProvider(callCalls) });
+    assert.ok(callCalls.md5 > 0, 'per-call provider used');
+    assert.strictEqual(globalCalls.md5, before, 'default not used');
+  } finally {
+    lib.setCryptoProvider(null);
+  }
+
+  const after = globalCalls.md5;
+  await lib.encryptPDF(plain, { userPassword: 'user' });
+  assert.strictEqual(globalCalls.md5, after, 'null goes back to auto-detection');
+});
+
+test('crypto provider: malformed providers are InvalidOptionErrors', async () => {
+  const plain = await samplePDF();
+  const cases = [
+    ['node', /must be an object/],
+    [{ md5: 'md5' }, /md5 must be a function/],
+    [{ sha3: () => new Uint8Array(32) }, /Unknown crypto provider method: sha3/]
+  ];
+  for (const [provider, message] of cases) {
+    await assert.rejects(lib.encryptPDF(plain, { userPassword: 'user', crypto: provider }),
+      (error) => error instanceof lib.InvalidOptionError && message.test(error.message), String(message));
+    assert.throws(() => lib.setCryptoProvider(provider), lib.InvalidOptionError);
+  }
+});
+
+test('crypto provider: random must return exactly the bytes asked for', async () => {
+  const plain = await samplePDF();
+  const cases = [(length) => new Uint8Array(length - 1), (length) => new Array(length).fill(0), () => null];
+  for (const random of cases) {
+    await assert.rejects(lib.encryptPDF(plain, { userPassword: 'user', algorithm: 'aes-128', random }),
+      (error) => error instanceof lib.InvalidOptionError && /random\(16\) must return a Uint8Array of 16 bytes/.test(error.message));
+  }
+  await assert.rejects(lib.encryptPDF(plain, { userPassword: 'user', random: 42 }), lib.InvalidOptionError);
+});
+
+// --- MD5 and RC4 ---
+
+// RFC 1321, appendix A.5
+const MD5_VECTORS = [
+  ['', 'd41d8cd98f00b204e9800998ecf8427e'],
+  ['a', '0cc175b9c0f1b6a831c399e269772661'],
+  ['abc', '900150983cd24fb0d6963f7d28e17f72'],
+  ['message digest', 'f96b697d7cb7938d525a2f31aaf161d0'],
+  ['abcdefghijklmnopqrstuvwxyz', 'c3fcd3d76192e4007dfb496cca67e13b'],
+  ['ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', 'd174ab98d277d9f5a5611c2c9f419d9f'],
+  ['1234567890'.repeat(8), '57edf4a22be3c955ac49da2e2107b67a']
+];
+
+/**
+ * Feed bytes to an MD5 in chunks of the given size
+ */
+function md5InChunks(bytes, chunkSize) {
+  const hash = new lib.MD5();
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    hash.update(bytes.subarray(offset, offset + chunkSize));
+  }
+  return Buffer.from(hash.digest()).toString('hex');
+}
+
+test('MD5: RFC 1321 test suite, in one go and in chunks', () => {
+  for (const [message, digest] of MD5_VECTORS) {
+    assert.strictEqual(Buffer.from(lib.md5(message)).toString('hex'), digest, JSON.stringify(message));
+    for (const chunkSize of [1, 3, 7, 63, 64, 65]) {
+      assert.strictEqual(md5InChunks(Buffer.from(message), chunkSize), digest, `${JSON.stringify(message)} in chunks of ${chunkSize}`);
+    }
+  }
+});
+
+test('MD5: lengths around the block and padding boundaries, split across blocks', () => {
+  const data = crypto.randomBytes(300);
+  for (const length of [55, 56, 57, 63, 64, 65, 119, 120, 128, 191, 300]) {
+    const bytes = data.subarray(0, length);
+    const expected = crypto.createHash('md5').update(bytes).digest('hex');
+    assert.strictEqual(Buffer.from(lib.md5(bytes)).toString('hex'), expected, `${length} bytes`);
+    for (const chunkSize of [1, 13, 60, 64, 100]) {
+      assert.strictEqual(md5InChunks(bytes, chunkSize), expected, `${length} bytes in chunks of ${chunkSize}`);
+    }
+  }
+
+  const hash = new lib.MD5().update('abc');
+  hash.digest();
+  assert.throws(() => hash.digest(), /already called/);
+  assert.throws(() => hash.update('more'), /already called/);
+});
+
+// Well-known RC4 vectors, and keystream offsets of RFC 6229 for the 40-bit key 0x0102030405
+const RC4_VECTORS = [
+  ['Key', 'Plaintext', 'bbf316e8d940af0ad3'],
+  ['Wiki', 'pedia', '1021bf0420'],
+  ['Secret', 'Attack at dawn', '45a01f645fc35b383552544b9bf5']
+];
+const RC4_KEYSTREAM = [
+  [0, 'b2396305f03dc027ccc3524a0a1118a8'],
+  [16, '6982944f18fc82d589c403a47a0d0919'],
+  [240, '28cb1132c96ce286421dcaadb8b69eae'],
+  [256, '1cfcf62b03eddb641d77dfcf7f8d8c93'],
+  [4096, 'ff25b58995996707e51fbdf08b34d875']
+];
+
+test('RC4: known vectors', () => {
+  for (const [key, plaintext, ciphertext] of RC4_VECTORS) {
+    assert.strictEqual(Buffer.from(new lib.RC4(Buffer.from(key)).process(Buffer.from(plaintext))).toString('hex'), ciphertext, key);
+  }
+  const keystream = new lib.RC4(new Uint8Array([1, 2, 3, 4, 5])).process(new Uint8Array(4112));
+  for (const [offset, expected] of RC4_KEYSTREAM) {
+    assert.strictEqual(Buffer.from(keystream.subarray(offset, offset + 16)).toString('hex'), expected, `offset ${offset}`);
+  }
+});
+
+test('RC4: in place and in chunks gives the same stream as one call', () => {
+  const key = crypto.randomBytes(16);
+  const data = crypto.randomBytes(1000);
+  const expected = Buffer.from(new lib.RC4(key).process(data));
+
+  for (const chunkSize of [1, 7, 256, 999]) {
+    const rc4 = new lib.RC4(key);
+    const buffer = new Uint8Array(data);
+    for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+      const chunk = buffer.subarray(offset, offset + chunkSize);
+      assert.strictEqual(rc4.process(chunk, chunk), chunk, 'returns the output buffer');
+    }
+    assert.ok(Buffer.from(buffer).equals(expected), `chunks of ${chunkSize}`);
+  }
+
+  // A larger output buffer is trimmed, a smaller one refused
+  assert.ok(Buffer.from(new lib.RC4(key).process(data, new Uint8Array(2000))).equals(expected));
+  assert.throws(() => new lib.RC4(key).process(data, new Uint8Array(999)), /too small/);
+});
+
+// --- Progress, cancellation and streamed output ---
+
+/**
+ * A pdf-lib document with enough objects for several progress reports,
+ * and optionally a large unfiltered stream that spans several output chunks
+ */
+async function largeDocument({ pages = 40, streamBytes = 0 } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (let i = 0; i < pages; i++) {
+    pdfDoc.addPage().drawText(`Page ${i + 1}`, { font, x: 50, y: 700 });
+  }
+  if (streamBytes > 0) {
+    const data = pdfDoc.context.register(pdfDoc.context.stream(crypto.randomBytes(streamBytes)));
+    pdfDoc.getPage(0).node.set(PDFName.of('Fixture'), data);
+  }
+  return pdfDoc;
+}
+
+/**
+ * Read a stream to the end
+ * @returns {Promise<{ bytes: Buffer, chunks: number }>}
+ */
+async function readStream(stream) {
+  const chunks = [];
+  const reader = stream.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(result.value);
+  }
+  return { bytes: Buffer.concat(chunks), chunks: chunks.length };
+}
+
+test('onProgress: load, encrypt and save in order, each counted up to its total', async () => {
+  const plain = await (await largeDocument()).save({ useObjectStreams: false });
+  const events = [];
+  const encrypted = await lib.encryptPDF(plain, { userPassword: 'user', onProgress: (event) => events.push(event) });
+
+  const phases = events.map(({ phase }) => phase).filter((phase, i, all) => phase !== all[i - 1]);
+  assert.deepStrictEqual(phases, ['load', 'encrypt', 'save']);
+  for (const phase of phases) {
+    const reports = events.filter((event) => event.phase === phase);
+    for (let i = 1; i < reports.length; i++) {
+      assert.ok(reports[i].objectsDone >= reports[i - 1].objectsDone, `${phase}: objectsDone only grows`);
+    }
+    const last = reports[reports.length - 1];
+    assert.ok(last.objectsTotal > 50, `${phase}: total known`);
+    assert.strictEqual(last.objectsDone, last.objectsTotal, `${phase}: complete`);
+  }
+  assert.ok(events.some(({ phase, objectsDone, objectsTotal }) => phase === 'encrypt' && objectsDone > 0 && objectsDone < objectsTotal),
+    'reports between the start and the end of a phase');
+  assert.strictEqual(events.filter(({ phase }) => phase === 'load').pop().bytesDone, plain.length);
+  assert.strictEqual(events.pop().bytesDone, encrypted.length);
+});
+
+test('signal: cancelling rejects with the signal\'s reason, before or during any phase', async () => {
+  const plain = await (await largeDocument()).save({ useObjectStreams: false });
+  const reason = new Error('cancelled by the user');
+  await assert.rejects(lib.encryptPDF(plain, { userPassword: 'user', signal: AbortSignal.abort(reason) }), (error) => error === reason);
+
+  for (const phase of ['load', 'encrypt', 'save']) {
+    const controller = new AbortController();
+    const onProgress = (event) => {
+      if (event.phase === phase && event.objectsDone > 0) controller.abort();
+    };
+    await assert.rejects(lib.encryptPDF(plain, { userPassword: 'user', signal: controller.signal, onProgress }),
+      (error) => error.name === 'AbortError', phase);
+  }
+});
+
+test('output stream: the same bytes as a buffer, in chunks', async () => {
+  const plain = await (await largeDocument({ streamBytes: 200 * 1024 })).save({ useObjectStreams: false });
+  const options = { userPassword: 'user', algorithm: 'aes-128', fileId: new Uint8Array(16).fill(1) };
+  const buffer = await lib.encryptPDF(plain, { ...options, random: seededRandom(7) });
+
+  const events = [];
+  const stream = await lib.encryptPDF(plain, { ...options, random: seededRandom(7), output: 'stream', onProgress: (event) => events.push(event) });
+  const { bytes, chunks } = await readStream(stream);
+  assert.ok(bytes.equals(Buffer.from(buffer)));
+  assert.ok(chunks > 1, 'more than one chunk');
+  const last = events.pop();
+  assert.strictEqual(last.phase, 'save');
+  assert.strictEqual(last.bytesDone, bytes.length);
+});
+
+test('output stream: cancelling or aborting the read restores the encryptPDFDocument document', async () => {
+  const pdfDoc = await largeDocument({ streamBytes: 200 * 1024 });
+  const before = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+  const unchanged = async (message) => assert.ok(Buffer.from(await pdfDoc.save({ useObjectStreams: false })).equals(before), message);
+
+  const cancelled = (await lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', output: 'stream' })).getReader();
+  assert.strictEqual((await cancelled.read()).done, false);
+  await cancelled.cancel();
+  await unchanged('after cancel()');
+
+  const controller = new AbortController();
+  const aborted = await lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', output: 'stream', signal: controller.signal });
+  const reader = aborted.getReader();
+  await reader.read();
+  controller.abort();
+  await assert.rejects((async () => {
+    while (!(await reader.read()).done);
+  })(), (error) => error.name === 'AbortError');
+  await unchanged('after the signal aborted the read');
+
+  // Read to the end, the stream restores it too
+  const { bytes } = await readStream(await lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', output: 'stream' }));
+  assert.strictEqual(await lib.checkPassword(bytes, 'user'), 'owner');
+  await unchanged('after reading to the end');
+});
+
+// --- Encrypting a PDFDocument ---
+
+/**
+ * A loaded document that exercises every kind of change encryption makes: strings, hex
+ * strings, an unfiltered stream to compress, a signature to strip and an existing /ID
+ */
+async function editableDocument() {
+  const pdfDoc = await PDFDocument.load(await signedPDF(), { updateMetadata: false });
+  const context = pdfDoc.context;
+  pdfDoc.setTitle('Editable');
+  pdfDoc.getInfoDict().set(PDFName.of('Subject'), PDFHexString.of('4142434'));
+  const page = pdfDoc.getPage(0);
+  page.node.set(PDFName.of('Fixture'), context.register(context.stream('uncompressed '.repeat(100))));
+  page.drawText('Still editable', { x: 50, y: 700 });
+  context.trailerInfo.ID = context.obj([PDFHexString.of('00'.repeat(16)), PDFHexString.of('11'.repeat(16))]);
+  return pdfDoc;
+}
+
+for (const [algorithm, extra] of [
+  ['rc4-128', {}],
+  ['aes-128', { useObjectStreams: true, compressStreams: true }],
+  ['aes-256', { onSignedDocument: 'strip', compressStreams: true }],
+  ['aes-128', { encryptMetadata: false, encryptTarget: 'embeddedFilesOnly' }]
+]) {
+  test(`encryptPDFDocument (${algorithm}, ${JSON.stringify(extra)}): the document is unchanged afterwards`, async () => {
+    const pdfDoc = await editableDocument();
+    const before = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+
+    const encrypted = await lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', algorithm, onWarning: () => {}, ...extra });
+    assert.ok(Buffer.from(await pdfDoc.save({ useObjectStreams: false })).equals(before), 'same bytes as before');
+    assert.strictEqual(await lib.checkPassword(encrypted, 'user'), 'owner');
+
+    // The encrypted file has the document's content, and the document can still be edited
+    const decrypted = await PDFDocument.load(await lib.decryptPDF(encrypted, 'user'), { updateMetadata: false });
+    assert.strictEqual(decrypted.getTitle(), 'Editable');
+    pdfDoc.addPage();
+    assert.strictEqual((await PDFDocument.load(await pdfDoc.save())).getPageCount(), 2);
+  });
+}
+
+test('encryptPDFDocument: a failure partway through leaves the document as it was', async () => {
+  const pdfDoc = await editableDocument();
+  const before = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+  const unchanged = async (message) => assert.ok(Buffer.from(await pdfDoc.save({ useObjectStreams: false })).equals(before), message);
+
+  // A crypto provider that breaks after a few objects (with its own randomBytes:
+  // the pure-JS fallback needs globalThis.crypto, which Node.js 18 lacks)
+  let calls = 0;
+  const failure = new Error('hardware security module unavailable');
+  const provider = {
+    aesEncryptCBC: (...args) => {
+      if (++calls > 3) throw failure;
+      return lib.aesEncryptCBC(...args);
+    },
+    randomBytes: (length) => new Uint8Array(crypto.randomBytes(length))
+  };
+  await assert.rejects(lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', algorithm: 'aes-128', crypto: provider, onWarning: () => {} }),
+    (error) => error instanceof lib.PDFEncryptError && error.code === 'INTERNAL_ERROR' && error.cause === failure);
+  assert.ok(calls > 3, 'failed after some objects were encrypted');
+  await unchanged('after a crypto failure');
+
+  // Cancelled between objects
+  const controller = new AbortController();
+  const onProgress = ({ phase, objectsDone }) => {
+    if (phase === 'encrypt' && objectsDone > 0) controller.abort();
+  };
+  await assert.rejects(lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', signal: controller.signal, onProgress, onWarning: () => {} }),
+    (error) => error.name === 'AbortError');
+  await unchanged('after an abort');
+
+  // Refused by the signed-document policy after save()'s preparation ran
+  await assert.rejects(lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', onSignedDocument: 'error' }), lib.SignedDocumentError);
+  await unchanged('after a SignedDocumentError');
+
+  // And it still encrypts afterwards
+  const encrypted = await lib.encryptPDFDocument(pdfDoc, { userPassword: 'user', algorithm: 'aes-128', onWarning: () => {} });
+  assert.strictEqual(await lib.checkPassword(encrypted, 'user'), 'owner');
+  await unchanged('after encrypting');
+});
+
+// --- Errors ---
+
+test('no secure random generator: UnsupportedEnvironmentError, not an internal error', async () => {
+  const plain = await samplePDF();
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true, writable: true });
+  try {
+    // An empty provider leaves randomBytes to the pure-JS fallback
+    await assert.rejects(
+      lib.encryptPDF(plain, { userPassword: 'user', algorithm: 'aes-128', crypto: {} }),
+      (error) => error instanceof lib.UnsupportedEnvironmentError && error.code === 'UNSUPPORTED_ENVIRONMENT'
+    );
+  } finally {
+    if (descriptor) Object.defineProperty(globalThis, 'crypto', descriptor);
+    else delete globalThis.crypto;
+  }
+});
+
+// --- Weak RC4 (V1/R2) ---
+
+test('rc4-40: output has a classic xref table and no object streams', async () => {
+  const encrypted = Buffer.from(await lib.encryptPDF(await samplePDF(), {
+    userPassword: 'user',
+    algorithm: 'rc4-40',
+    allowWeak: true
+  }));
+  const text = encrypted.toString('latin1');
+  assert.ok(/\bxref\s/.test(text), 'classic xref table');
+  assert.ok(/\btrailer\s/.test(text), 'classic trailer');
+  assert.ok(!text.includes('/ObjStm'), 'no object streams');
+  assert.ok(!text.includes('/XRef'), 'no cross-reference stream');
+
+  const info = await lib.getEncryptionInfo(encrypted);
+  assert.strictEqual(info.V, 1);
+  assert.strictEqual(info.R, 2);
+  assert.strictEqual(info.keyLength, 40);
+  assert.ok((await lib.decryptPDF(encrypted, 'user')).length > 0);
+});
+
+test('rc4-40: useObjectStreams is refused', async () => {
+  await assert.rejects(
+    lib.encryptPDF(await samplePDF(), { userPassword: 'user', algorithm: 'rc4-40', allowWeak: true, useObjectStreams: true }),
+    (error) => error instanceof lib.InvalidOptionError && /useObjectStreams/.test(error.message)
+  );
+});
+
+// --- Reproducible output (fileId and random) ---
+
+/**
+ * A seeded generator for the random option (Park-Miller; tests only, never for real secrets)
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return (length) => {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      state = (state * 48271) % 2147483647;
+      bytes[i] = state & 0xFF;
+    }
+    return bytes;
+  };
+}
+
+/**
+ * The trailer /ID of a PDF, as two hex strings
+ */
+async function fileIdOf(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+  const id = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.ID);
+  return id.asArray().map((element) => element.asString().toUpperCase());
+}
+
+for (const algorithm of ['rc4-128', 'aes-128', 'aes-256']) {
+  test(`${algorithm}: the same fileId and random give byte-identical output`, async () => {
+    const plain = await samplePDF();
+    const options = { userPassword: 'user', ownerPassword: 'owner', algorithm, fileId: new Uint8Array(16).fill(7) };
+    const first = await lib.encryptPDF(plain, { ...options, random: seededRandom(42) });
+    const second = await lib.encryptPDF(plain, { ...options, random: seededRandom(42) });
+    assert.ok(Buffer.from(first).equals(Buffer.from(second)));
+
+    const other = await lib.encryptPDF(plain, { ...options, random: seededRandom(43) });
+    assert.strictEqual(Buffer.from(first).equals(Buffer.from(other)), algorithm === 'rc4-128', 'only AES uses random IVs');
+
+    assert.deepStrictEqual(await fileIdOf(first), ['07'.repeat(16), '07'.repeat(16)]);
+  });
+}
+
+test('the first /ID element of the input is kept and the second replaced', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  const original = ['00112233445566778899AABBCCDDEEFF', 'FFEEDDCCBBAA99887766554433221100'];
+  pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj(original.map((hex) => PDFHexString.of(hex)));
+  const plain = await pdfDoc.save({ useObjectStreams: false });
+  assert.deepStrictEqual(await fileIdOf(plain), original);
+
+  const encrypted = await lib.encryptPDF(plain, { userPassword: 'user', algorithm: 'aes-128' });
+  const [first, second] = await fileIdOf(encrypted);
+  assert.strictEqual(first, original[0]);
+  assert.notStrictEqual(second, original[1]);
+  assert.strictEqual(second.length, 32);
+  assert.ok((await lib.decryptPDF(encrypted, 'user')).length > 0, 'the key is derived from the kept element');
+});
+
+// --- Input and output types ---
+
+test('output blob, arraybuffer and base64: the same file as uint8array, and each reads back as input', async () => {
+  const plain = await (await largeDocument({ pages: 2, streamBytes: 100 * 1024 })).save({ useObjectStreams: false });
+  const encryptAs = (output) => lib.encryptPDF(plain, {
+    userPassword: 'user',
+    algorithm: 'aes-128',
+    fileId: new Uint8Array(16).fill(3),
+    random: seededRandom(11),
+    output
+  });
+  const expected = Buffer.from(await encryptAs('uint8array'));
+
+  const blob = await encryptAs('blob');
+  assert.ok(blob instanceof Blob);
+  assert.strictEqual(blob.type, 'application/pdf');
+  assert.ok(Buffer.from(await blob.arrayBuffer()).equals(expected));
+
+  const arrayBuffer = await encryptAs('arraybuffer');
+  assert.ok(arrayBuffer instanceof ArrayBuffer);
+  assert.ok(Buffer.from(arrayBuffer).equals(expected));
+
+  // Larger than one btoa() chunk
+  const base64 = await encryptAs('base64');
+  assert.ok(expected.length > 3 * 16 * 1024);
+  assert.strictEqual(base64, expected.toString('base64'));
+
+  for (const input of [blob, arrayBuffer, Buffer.from(base64, 'base64')]) {
+    const decrypted = await lib.decryptPDF(input, 'user');
+    assert.ok(Buffer.from(await firstPageContents(decrypted)).equals(Buffer.from(await firstPageContents(plain))));
+  }
+});
+
+test('input: Blob, Response, ReadableStream, Node.js stream, Buffer, ArrayBuffer and DataView all encrypt', async () => {
+  const plain = await samplePDF();
+  const chunks = [plain.subarray(0, 100), plain.subarray(100, 1000), plain.subarray(1000)];
+  const inputs = {
+    Blob: new Blob([plain]),
+    Response: new Response(new Blob([plain])),
+    ReadableStream: new Blob([plain]).stream(),
+    Readable: Readable.from(chunks.map((chunk) => Buffer.from(chunk))),
+    Buffer: Buffer.from(plain),
+    ArrayBuffer: plain.slice().buffer,
+    DataView: new DataView(plain.buffer, plain.byteOffset, plain.byteLength)
+  };
+  for (const [type, input] of Object.entries(inputs)) {
+    const encrypted = await lib.encryptPDF(input, { userPassword: 'user', algorithm: 'aes-128' });
+    assert.strictEqual(await lib.checkPassword(encrypted, 'user'), 'owner', type);
+  }
+
+  // An output stream is input for the next call
+  const stream = await lib.encryptPDF(plain, { userPassword: 'user', output: 'stream' });
+  const decrypted = await lib.decryptPDF(stream, 'user');
+  assert.ok(Buffer.from(await firstPageContents(decrypted)).equals(Buffer.from(await firstPageContents(plain))));
+});
+
+test('input: unsupported values, text streams and used Responses are InvalidOptionErrors', async () => {
+  const plain = await samplePDF();
+  const used = new Response(new Blob([plain]));
+  await used.arrayBuffer();
+  const cases = [
+    ['a string', /must be a Uint8Array/],
+    [null, /must be a Uint8Array/],
+    [Readable.from(['%PDF-1.7']), /not text/],
+    [used, /already been read/]
+  ];
+  for (const [input, message] of cases) {
+    await assert.rejects(lib.encryptPDF(input, { userPassword: 'user' }),
+      (error) => error instanceof lib.InvalidOptionError && message.test(error.message), String(message));
+  }
+  await assert.rejects(lib.encryptPDF(plain, { userPassword: 'user', output: 'buffer' }), /Invalid output: buffer/);
+});
+
+// --- Worker pool ---
+
+test('worker pool: runs at most size jobs at once and every result decrypts', async () => {
+  const pool = lib.createEncryptionWorker({ size: 2 });
+  try {
+    assert.strictEqual(pool.size, 2);
+    const plain = await samplePDF();
+    let running = 0;
+    let mostRunning = 0;
+    const jobs = [1, 2, 3, 4].map(async (n) => {
+      let started = false;
+      const encrypted = await pool.encrypt(plain, {
+        userPassword: `user${n}`,
+        algorithm: 'aes-128',
+        onProgress: () => {
+          if (started) return;
+          started = true;
+          running++;
+          mostRunning = Math.max(mostRunning, running);
+        }
+      });
+      running--;
+      return encrypted;
+    });
+    const results = await Promise.all(jobs);
+    assert.ok(mostRunning >= 1 && mostRunning <= 2, `at most 2 jobs at once (saw ${mostRunning})`);
+    for (const [i, encrypted] of results.entries()) {
+      assert.strictEqual(await lib.checkPassword(encrypted, `user${i + 1}`), 'owner', 'no ownerPassword: the user password is both');
+    }
+  } finally {
+    await pool.terminate();
+  }
+});
+
+test('worker pool: a signal cancels a job with an AbortError, before and while it runs', async () => {
+  const pool = lib.createEncryptionWorker({ size: 1 });
+  try {
+    const plain = await samplePDF();
+    const isAbort = (error) => error.name === 'AbortError';
+    await assert.rejects(pool.encrypt(plain, { userPassword: 'user', signal: AbortSignal.abort() }), isAbort);
+
+    const controller = new AbortController();
+    const job = pool.encrypt(plain, { userPassword: 'user', signal: controller.signal, onProgress: () => controller.abort() });
+    await assert.rejects(job, isAbort);
+
+    // The worker is still usable afterwards
+    assert.ok((await pool.encrypt(plain, { userPassword: 'user' })).length > 0);
+  } finally {
+    await pool.terminate();
+  }
+});
+
+test('worker pool: errors come back as the library\'s error classes', async () => {
+  const pool = lib.createEncryptionWorker({ size: 1 });
+  try {
+    const encrypted = await lib.encryptPDF(await samplePDF(), { userPassword: 'user' });
+    await assert.rejects(pool.encrypt(encrypted, { userPassword: 'user' }),
+      (error) => error instanceof lib.AlreadyEncryptedError && error.code === 'ALREADY_ENCRYPTED');
+    await assert.rejects(pool.encrypt(new TextEncoder().encode('not a pdf'), { userPassword: 'user' }),
+      (error) => error instanceof lib.InvalidPDFError && error.code === 'INVALID_PDF' && error.cause instanceof Error);
+    await assert.rejects(pool.encrypt(await samplePDF(), { userPassword: 'user', algorithm: 'rc4-40' }),
+      (error) => error instanceof lib.InvalidOptionError && /allowWeak/.test(error.message));
+    await assert.rejects(pool.encrypt(await samplePDF(), { userPassword: 'user', output: 'stream', report: true }),
+      (error) => error instanceof lib.InvalidOptionError);
+  } finally {
+    await pool.terminate();
+  }
+});
+
+test('worker pool: terminate rejects jobs still waiting', async () => {
+  const pool = lib.createEncryptionWorker({ size: 1 });
+  const plain = await samplePDF();
+  const jobs = [pool.encrypt(plain, { userPassword: 'a' }), pool.encrypt(plain, { userPassword: 'b' })];
+  const settled = Promise.allSettled(jobs);
+  await pool.terminate();
+  for (const result of await settled) {
+    assert.strictEqual(result.status, 'rejected');
+    assert.strictEqual(result.reason.name, 'AbortError');
+  }
+});
+
+test('ES module build: imports its siblings and starts the worker as .mjs', async () => {
+  const dist = path.join(__dirname, '..', 'dist');
+  for (const file of fs.readdirSync(dist).filter((name) => name.endsWith('.mjs'))) {
+    const source = fs.readFileSync(path.join(dist, file), 'utf8');
+    assert.ok(!/['"]\.\/[\w-]+\.js['"]/.test(source), `${file} references a CommonJS file`);
+  }
+  assert.ok(fs.readFileSync(path.join(dist, 'worker-pool.mjs'), 'utf8').includes("new URL('./encryption-worker.mjs', import.meta.url)"));
+
+  const esm = await import(path.join(dist, 'index.mjs'));
+  const encrypted = await esm.encryptPDFInWorker(await samplePDF(), { userPassword: 'user', output: 'base64' });
+  assert.strictEqual(await lib.checkPassword(Buffer.from(encrypted, 'base64'), 'user'), 'owner');
+});
+
+// --- Encryption report ---
+
+/**
+ * A 2x2 grey RGB PNG
+ */
+function tinyPNG() {
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc = (bytes) => {
+    let c = ~0;
+    for (const byte of bytes) c = crcTable[(c ^ byte) & 0xFF] ^ (c >>> 8);
+    return (~c) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc(body));
+    return Buffer.concat([length, body, checksum]);
+  };
+  const header = Buffer.from([0, 0, 0, 2, 0, 0, 0, 2, 8, 2, 0, 0, 0]);
+  const pixels = Buffer.from([0, 128, 128, 128, 128, 128, 128, 0, 128, 128, 128, 128, 128, 128]);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(pixels)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * A PDF with one object of every kind the report counts: page content, an image,
+ * an embedded font program, XMP metadata, an attachment, and document info strings
+ */
+async function reportFixture() {
+  const pdfDoc = await PDFDocument.create();
+  const context = pdfDoc.context;
+  pdfDoc.setTitle('Report fixture');
+  pdfDoc.setAuthor('Tests');
+  pdfDoc.setProducer('pdf-encrypt-lite tests');
+  pdfDoc.setCreator('pdf-encrypt-lite tests');
+  pdfDoc.setCreationDate(new Date(Date.UTC(2025, 0, 1)));
+  pdfDoc.setModificationDate(new Date(Date.UTC(2025, 0, 1)));
+
+  const page = pdfDoc.addPage();
+  page.drawImage(await pdfDoc.embedPng(tinyPNG()), { x: 10, y: 10, width: 20, height: 20 });
+
+  const fontFile = context.register(context.flateStream(new Uint8Array(64)));
+  const descriptor = context.register(context.obj({ Type: 'FontDescriptor', FontName: 'Fixture', FontFile2: fontFile }));
+  const font = context.register(context.obj({ Type: 'Font', Subtype: 'TrueType', BaseFont: 'Fixture', FontDescriptor: descriptor }));
+  page.node.setFontDictionary(PDFName.of('F1'), font);
+
+  const xmp = context.stream('<x:xmpmeta xmlns:x="adobe:ns:meta/"/>', { Type: 'Metadata', Subtype: 'XML' });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), context.register(xmp));
+
+  await pdfDoc.attach(Buffer.from('attached text'), 'notes.txt', {
+    mimeType: 'text/plain',
+    creationDate: new Date(Date.UTC(2025, 0, 1)),
+    modificationDate: new Date(Date.UTC(2025, 0, 1))
+  });
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+test('report: matches what was encrypted in a known fixture', async () => {
+  const plain = await reportFixture();
+  const { bytes, report } = await lib.encryptPDF(plain, {
+    userPassword: 'user',
+    ownerPassword: 'owner',
+    algorithm: 'aes-128',
+    permissions: { copy: false },
+    report: true
+  });
+  const { outputSize, inputSize, ...details } = report;
+  assert.deepStrictEqual(details, {
+    algorithm: 'aes-128',
+    filter: 'Standard',
+    V: 4,
+    R: 4,
+    keyLength: 128,
+    permissions: {
+      print: 'highRes',
+      modify: true,
+      copy: false,
+      annotate: true,
+      fillForms: true,
+      extractForAccessibility: true,
+      assemble: true
+    },
+    permissionFlags: -20,
+    encryptMetadata: true,
+    encryptTarget: 'all',
+    objects: {
+      content: { streams: 1, strings: 0 },
+      image: { streams: 1, strings: 0 },
+      font: { streams: 1, strings: 0 },
+      xmp: { streams: 1, strings: 0 },
+      // The attachment's /Params dates
+      embeddedFile: { streams: 1, strings: 2 },
+      // Six document info entries, /F and /UF of the file specification, its name tree key
+      other: { streams: 0, strings: 9 }
+    },
+    packedObjects: 0,
+    skipped: [{ objectNumber: 13, generationNumber: 0, reason: 'encrypt-dictionary' }],
+    warnings: []
+  });
+  assert.strictEqual(inputSize, plain.length);
+  assert.strictEqual(outputSize, bytes.length);
+});
+
+test('report: object streams count the same strings and list the xref stream', async () => {
+  const plain = await reportFixture();
+  const options = { userPassword: 'user', algorithm: 'aes-128', report: true };
+  const { report: classic } = await lib.encryptPDF(plain, options);
+  const { report: packed } = await lib.encryptPDF(plain, { ...options, useObjectStreams: true });
+  assert.deepStrictEqual(packed.objects, classic.objects, 'strings in packed objects are counted by kind');
+  assert.strictEqual(classic.packedObjects, 0);
+  assert.strictEqual(packed.packedObjects, 7, 'catalog, pages, page, info, font, font descriptor, file specification');
+  assert.deepStrictEqual(packed.skipped, [
+    { objectNumber: 13, generationNumber: 0, reason: 'encrypt-dictionary' },
+    // After the object stream (14) the writer adds
+    { objectNumber: 15, generationNumber: 0, reason: 'xref-stream' }
+  ]);
+});
+
+// --- Runner ---
+
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(error);
+    }
+  }
+  console.log(`\n${tests.length - failed}/${tests.length} tests passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+})();